@@ -0,0 +1,230 @@
+import { StorageType } from './StorageType.js'
+import { parseEnvelope } from './Envelope.js'
+import { hasBroadcastChannel } from './Environment.js'
+import { inNamespace, removeNamespace } from './Namespace.js'
+import { whenAllResolved } from './Resolve.js'
+
+const CHANNEL_NAME = 'StorageUtility'
+
+/**
+ * Storage types without a native event for changes in other tabs. Their changes are sent over a BroadcastChannel.
+ */
+const BROADCAST_TYPES = [StorageType.COOKIE, StorageType.INDEXEDDB]
+
+/**
+ * Notifiers of the current tab with at least one subscription
+ */
+const activeNotifiers = new Set()
+
+let channel = null
+
+/**
+ * Get the BroadcastChannel which is shared by every notifier. A channel doesn't receive its own messages, so changes
+ * of the current tab are never delivered twice.
+ * @returns {BroadcastChannel|null}
+ */
+function getChannel () {
+  if (!channel && hasBroadcastChannel()) {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = event => activeNotifiers.forEach(notifier => notifier._dispatch(event.data, true))
+
+    // Don't keep Node.js processes alive because of the channel
+    if (typeof channel.unref === 'function') {
+      channel.unref()
+    }
+  }
+
+  return channel
+}
+
+/**
+ * @typedef {Object} Change
+ * @property {String} key The key, for IndexedDB the store name
+ * @property {*} [recordKey] Only for IndexedDB records. The primary key of the written or deleted record.
+ * @property {StorageType} storageType
+ * @property {*} oldValue
+ * @property {*} newValue
+ * @property {Object|null} envelope The new value with its metadata (expires, createdAt, updatedAt)
+ * @property {String} [database] Only relevant if storageType is 'IndexedDB'.
+ * @property {Boolean} external True if the change was made in another tab
+ */
+
+export default class ChangeNotifier {
+  /**
+   * @param {Object} config
+   * @param {function(*, StorageType): *} [decode] Decode the values of the native storage event, e.g. to decrypt them
+   */
+  constructor (config, decode = value => value) {
+    this._settings = config
+    this._decode = decode
+    this._subscriptions = []
+    this._onStorage = this._onStorage.bind(this)
+  }
+
+  /**
+   * Subscribe to the changes of a key or of every key matching a pattern.
+   * @param {String|RegExp} pattern
+   * @param {function(Change)} callback
+   * @returns {function()} Function to unsubscribe
+   */
+  subscribe (pattern, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('The callback must be a function')
+    }
+
+    const subscription = { pattern, callback }
+    this._subscriptions.push(subscription)
+    if (this._subscriptions.length === 1) {
+      this._listen()
+    }
+
+    return () => {
+      const index = this._subscriptions.indexOf(subscription)
+      if (index === -1) {
+        return
+      }
+      this._subscriptions.splice(index, 1)
+      if (!this._subscriptions.length) {
+        this._stopListening()
+      }
+    }
+  }
+
+  /**
+   * Check if a change has to be tracked, either for a subscription in this tab or to notify other tabs.
+   * @param {Object} change Change with the key including the namespace
+   * @returns {Boolean}
+   */
+  static isObserved (change) {
+    if (BROADCAST_TYPES.includes(change.storageType) && hasBroadcastChannel()) {
+      return true
+    }
+
+    return Array.from(activeNotifiers).some(notifier => notifier._matchingSubscriptions(change).length > 0)
+  }
+
+  /**
+   * Notify the subscriptions of this tab and, if necessary, the other tabs.
+   * @param {Object} change Change with the key including the namespace
+   */
+  static notify (change) {
+    activeNotifiers.forEach(notifier => notifier._dispatch(change, false))
+
+    if (BROADCAST_TYPES.includes(change.storageType) && getChannel()) {
+      try {
+        getChannel().postMessage(change)
+      } catch (e) {
+        // Values which can't be cloned are only delivered to the current tab
+        console.info("ScStorage couldn't send the change of the key '" + change.key + "' to other tabs.")
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} change Change with the key including the namespace
+   * @param {Boolean} external
+   */
+  _dispatch (change, external) {
+    const key = this._localKey(change)
+    this._matchingSubscriptions(change).forEach(subscription => {
+      subscription.callback({ ...change, key, external })
+    })
+  }
+
+  /**
+   * Get the key as it is used by this instance, or null if the change is outside the namespace.
+   * @private
+   * @param {Object} change
+   * @returns {String|null}
+   */
+  _localKey (change) {
+    const namespace = this._settings.NAMESPACE
+
+    if (change.storageType === StorageType.INDEXEDDB) {
+      return inNamespace(change.database, namespace) ? change.key : null
+    }
+    return inNamespace(change.key, namespace) ? removeNamespace(change.key, namespace) : null
+  }
+
+  /**
+   * @private
+   * @param {Object} change
+   * @returns {Array<Object>}
+   */
+  _matchingSubscriptions (change) {
+    const key = this._localKey(change)
+    if (key === null) {
+      return []
+    }
+
+    return this._subscriptions.filter(({ pattern }) => {
+      if (pattern instanceof RegExp) {
+        pattern.lastIndex = 0
+        return pattern.test(key)
+      }
+      return pattern === key
+    })
+  }
+
+  /**
+   * Forward the native storage event, which is fired for changes of other tabs.
+   * @private
+   * @param {StorageEvent} event
+   */
+  _onStorage (event) {
+    let storageType = null
+    if (event.storageArea === globalThis.localStorage) {
+      storageType = StorageType.LOCAL_STORAGE
+    } else if (event.storageArea === globalThis.sessionStorage) {
+      storageType = StorageType.SESSION_STORAGE
+    }
+
+    const oldEnvelope = parseEnvelope(event.oldValue)
+    const newEnvelope = parseEnvelope(event.newValue)
+    if (!storageType || event.key === null || (!oldEnvelope && !newEnvelope)) {
+      return
+    }
+
+    if (!this._matchingSubscriptions({ key: event.key, storageType }).length) {
+      return
+    }
+
+    // The values of other tabs are stored encoded, e.g. encrypted
+    const values = [oldEnvelope ? oldEnvelope.data : null, newEnvelope ? newEnvelope.data : null]
+    const result = whenAllResolved(values.map(value => this._decode(value, storageType)), ([oldValue, newValue]) => {
+      this._dispatch({
+        key: event.key,
+        storageType,
+        oldValue,
+        newValue,
+        envelope: newEnvelope ? { ...newEnvelope, data: newValue } : null
+      }, true)
+    })
+
+    if (result instanceof Promise) {
+      result.catch(error => console.info("ScStorage couldn't deliver the change of the key '" + event.key + "'.", error))
+    }
+  }
+
+  /**
+   * @private
+   */
+  _listen () {
+    activeNotifiers.add(this)
+    getChannel()
+    if (typeof globalThis.addEventListener === 'function') {
+      globalThis.addEventListener('storage', this._onStorage)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopListening () {
+    activeNotifiers.delete(this)
+    if (typeof globalThis.removeEventListener === 'function') {
+      globalThis.removeEventListener('storage', this._onStorage)
+    }
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * LZ based string compression, derived from lz-string by pieroxy (MIT License).
+ */
+
+export const MARKER = '__compressed'
+const URI_SAFE_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-$'
+
+/**
+ * @enum {Codec}
+ */
+export const Codec = {
+  // 15 bits per character, which are always valid UTF-16 characters. For LocalStorage and SessionStorage.
+  UTF16: 'lz-utf16',
+  // 6 bits per character, which don't need to be escaped in cookies.
+  URI: 'lz-uri'
+}
+
+const CODECS = {
+  [Codec.UTF16]: {
+    compress: input => compress(input, 15, value => String.fromCharCode(value + 32)),
+    decompress: input => decompress(input.length, 16384, index => input.charCodeAt(index) - 32)
+  },
+  [Codec.URI]: {
+    compress: input => compress(input, 6, value => URI_SAFE_CHARACTERS.charAt(value)),
+    decompress: input => decompress(input.length, 32, index => URI_SAFE_CHARACTERS.indexOf(input.charAt(index)))
+  }
+}
+
+/**
+ * Method to check if a value was compressed by the library
+ * @param {*} value
+ * @returns {Boolean}
+ */
+export function isCompressed (value) {
+  return value !== null && typeof value === 'object' && value[MARKER] in CODECS && typeof value.value === 'string'
+}
+
+/**
+ * Method to compress a value. The value is only replaced if the compressed value is smaller.
+ * @param {*} value Any value which can be converted to JSON
+ * @param {Codec} codec
+ * @returns {*} The compressed value with the marker of the codec, or the value itself
+ */
+export function compressValue (value, codec) {
+  const json = JSON.stringify(value)
+  if (json === undefined) {
+    return value
+  }
+
+  const compressed = CODECS[codec].compress(json)
+  return compressed.length < json.length ? { [MARKER]: codec, value: compressed } : value
+}
+
+/**
+ * Method to restore a value compressed by compressValue
+ * @param {Object} value
+ * @returns {*}
+ */
+export function decompressValue (value) {
+  const json = CODECS[value[MARKER]].decompress(value.value)
+  if (json === null || json === '') {
+    throw new Error('The compressed value is corrupted')
+  }
+  return JSON.parse(json)
+}
+
+/**
+ * @param {String} input
+ * @param {Number} bitsPerChar
+ * @param {function(Number): String} getCharFromInt
+ * @returns {String}
+ */
+function compress (input, bitsPerChar, getCharFromInt) {
+  const dictionary = {}
+  const dictionaryToCreate = {}
+  const output = []
+  let w = ''
+  let enlargeIn = 2
+  let dictSize = 3
+  let numBits = 2
+  let outputValue = 0
+  let outputPosition = 0
+
+  // Write the lowest bits of the value, the lowest bit first
+  const writeBits = (count, value) => {
+    for (let i = 0; i < count; i++) {
+      outputValue = (outputValue << 1) | (value & 1)
+      if (outputPosition === bitsPerChar - 1) {
+        outputPosition = 0
+        output.push(getCharFromInt(outputValue))
+        outputValue = 0
+      } else {
+        outputPosition++
+      }
+      value = value >> 1
+    }
+  }
+
+  const decreaseEnlargeIn = () => {
+    enlargeIn--
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits)
+      numBits++
+    }
+  }
+
+  const writeWord = () => {
+    if (Object.prototype.hasOwnProperty.call(dictionaryToCreate, w)) {
+      const charCode = w.charCodeAt(0)
+      if (charCode < 256) {
+        writeBits(numBits, 0)
+        writeBits(8, charCode)
+      } else {
+        writeBits(numBits, 1)
+        writeBits(16, charCode)
+      }
+      decreaseEnlargeIn()
+      delete dictionaryToCreate[w]
+    } else {
+      writeBits(numBits, dictionary[w])
+    }
+    decreaseEnlargeIn()
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input.charAt(i)
+    if (!Object.prototype.hasOwnProperty.call(dictionary, c)) {
+      dictionary[c] = dictSize++
+      dictionaryToCreate[c] = true
+    }
+
+    const wc = w + c
+    if (Object.prototype.hasOwnProperty.call(dictionary, wc)) {
+      w = wc
+    } else {
+      writeWord()
+      dictionary[wc] = dictSize++
+      w = c
+    }
+  }
+
+  if (w !== '') {
+    writeWord()
+  }
+
+  // Mark the end of the stream and flush the last character
+  writeBits(numBits, 2)
+  output.push(getCharFromInt(outputValue << (bitsPerChar - outputPosition)))
+
+  return output.join('')
+}
+
+/**
+ * @param {Number} length
+ * @param {Number} resetValue
+ * @param {function(Number): Number} getNextValue
+ * @returns {String|null}
+ */
+function decompress (length, resetValue, getNextValue) {
+  const dictionary = [0, 1, 2]
+  const result = []
+  let enlargeIn = 4
+  let dictSize = 4
+  let numBits = 3
+  let inputValue = getNextValue(0)
+  let inputPosition = resetValue
+  let inputIndex = 1
+
+  const readBits = count => {
+    let bits = 0
+    for (let power = 1; power !== Math.pow(2, count); power <<= 1) {
+      const bit = inputValue & inputPosition
+      inputPosition >>= 1
+      if (inputPosition === 0) {
+        inputPosition = resetValue
+        inputValue = getNextValue(inputIndex++)
+      }
+      bits |= (bit > 0 ? 1 : 0) * power
+    }
+    return bits
+  }
+
+  let c
+  switch (readBits(2)) {
+    case 0:
+      c = String.fromCharCode(readBits(8))
+      break
+    case 1:
+      c = String.fromCharCode(readBits(16))
+      break
+    default:
+      return ''
+  }
+  dictionary[3] = c
+  let w = c
+  result.push(c)
+
+  while (true) {
+    if (inputIndex > length) {
+      return null
+    }
+
+    let code = readBits(numBits)
+    if (code === 0 || code === 1) {
+      dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16))
+      code = dictSize - 1
+      enlargeIn--
+    } else if (code === 2) {
+      return result.join('')
+    }
+
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits)
+      numBits++
+    }
+
+    let entry
+    if (typeof dictionary[code] === 'string') {
+      entry = dictionary[code]
+    } else if (code === dictSize) {
+      entry = w + w.charAt(0)
+    } else {
+      return null
+    }
+    result.push(entry)
+
+    dictionary[dictSize++] = w + entry.charAt(0)
+    enlargeIn--
+    w = entry
+
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits)
+      numBits++
+    }
+  }
+}
@@ -0,0 +1,155 @@
+import { hasWebCrypto } from './Environment.js'
+import { DecryptionException } from './Exceptions.js'
+
+export const MARKER = '__encrypted'
+const ALGORITHM = 'AES-GCM'
+const IV_LENGTH = 12
+const SALT_LENGTH = 16
+const PBKDF2_SALT = 'StorageUtility'
+const PBKDF2_ITERATIONS = 100000
+const HKDF_INFO = 'StorageUtility value'
+
+/**
+ * Master keys derived from passphrases. Deriving a key with PBKDF2 is slow, so it is only done once per passphrase.
+ * The key of each value is derived from the master key and the salt of the value with HKDF, which is fast.
+ * @type {Map<String, Promise<CryptoKey>>}
+ */
+const masterKeys = new Map()
+
+/**
+ * Method to check if a value was encrypted by the library
+ * @param {*} value
+ * @returns {Boolean}
+ */
+export function isEncrypted (value) {
+  return value !== null && typeof value === 'object' && value[MARKER] === ALGORITHM
+}
+
+/**
+ * Method to encrypt a value with AES-GCM
+ * @param {*} value Any value which can be converted to JSON
+ * @param {CryptoKey|String} key A CryptoKey for AES-GCM or a passphrase
+ * @returns {Promise<Object>} The encrypted value with the marker, the salt the key of a passphrase is derived with,
+ * the iv and the ciphertext
+ */
+export async function encrypt (value, key) {
+  if (!hasWebCrypto()) {
+    throw new Error("This environment doesn't support the Web Crypto API.")
+  }
+  const salt = getRandomValues(SALT_LENGTH)
+  const iv = getRandomValues(IV_LENGTH)
+  const cryptoKey = await getCryptoKey(key, salt)
+  const plaintext = new TextEncoder().encode(JSON.stringify(value))
+  const ciphertext = await globalThis.crypto.subtle.encrypt({ name: ALGORITHM, iv }, cryptoKey, plaintext)
+
+  return {
+    [MARKER]: ALGORITHM,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  }
+}
+
+/**
+ * Method to decrypt a value encrypted by encrypt(). Other properties next to the marker, like the id and the meta
+ * data of IndexedDB records, are merged into the decrypted object.
+ * @param {Object} value
+ * @param {CryptoKey|String} key A CryptoKey for AES-GCM or a passphrase
+ * @param {String} storageKey Key of the item, used in the error message
+ * @returns {Promise<*>}
+ */
+export async function decrypt (value, key, storageKey) {
+  const { [MARKER]: _, iv, ciphertext, salt, ...properties } = value
+  if (!key) {
+    throw new DecryptionException(storageKey, new Error('config.ENCRYPTION_KEY is not set'))
+  }
+
+  let plaintext
+  try {
+    if (typeof salt !== 'string') {
+      throw new Error('The encrypted value has no salt')
+    }
+    const cryptoKey = await getCryptoKey(key, fromBase64(salt))
+    plaintext = await globalThis.crypto.subtle.decrypt({ name: ALGORITHM, iv: fromBase64(iv) }, cryptoKey, fromBase64(ciphertext))
+  } catch (error) {
+    throw new DecryptionException(storageKey, error)
+  }
+
+  const data = JSON.parse(new TextDecoder().decode(plaintext))
+  return Object.keys(properties).length && data !== null && typeof data === 'object' ? { ...data, ...properties } : data
+}
+
+/**
+ * @param {CryptoKey|String} key
+ * @param {Uint8Array} salt Only relevant for passphrases
+ * @returns {Promise<CryptoKey>}
+ */
+function getCryptoKey (key, salt) {
+  if (!hasWebCrypto()) {
+    return Promise.reject(new Error("This environment doesn't support the Web Crypto API."))
+  }
+  if (typeof key !== 'string') {
+    return Promise.resolve(key)
+  }
+
+  return getMasterKey(key).then(masterKey => globalThis.crypto.subtle.deriveKey(
+    { name: 'HKDF', salt, info: new TextEncoder().encode(HKDF_INFO), hash: 'SHA-256' },
+    masterKey,
+    { name: ALGORITHM, length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  ))
+}
+
+/**
+ * @param {String} passphrase
+ * @returns {Promise<CryptoKey>} HKDF key
+ */
+function getMasterKey (passphrase) {
+  if (!masterKeys.has(passphrase)) {
+    const encoder = new TextEncoder()
+    const masterKey = globalThis.crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits'])
+      .then(baseKey => globalThis.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: encoder.encode(PBKDF2_SALT), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        256
+      ))
+      .then(bits => globalThis.crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']))
+    masterKeys.set(passphrase, masterKey)
+  }
+
+  return masterKeys.get(passphrase)
+}
+
+/**
+ * @param {Number} length
+ * @returns {Uint8Array}
+ */
+function getRandomValues (length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length))
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+function toBase64 (bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary)
+}
+
+/**
+ * @param {String} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64 (base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
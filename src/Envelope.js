@@ -0,0 +1,36 @@
+/**
+ * Parse an item and return it if it is an envelope written by the library.
+ * @param {String} item
+ * @returns {Object|null}
+ */
+export function parseEnvelope (item) {
+  if (!item) {
+    return null
+  }
+
+  let obj = null
+  try {
+    obj = JSON.parse(item)
+  } catch (e) {
+    return null
+  }
+
+  return isEnvelope(obj) ? obj : null
+}
+
+/**
+ * Check if a value has the format of an envelope written by the library.
+ * @param {*} obj
+ * @returns {Boolean}
+ */
+export function isEnvelope (obj) {
+  return obj !== null && typeof obj === 'object' && 'data' in obj && 'expires' in obj
+}
+
+/**
+ * @param {Object} envelope
+ * @returns {Boolean}
+ */
+export function isExpired (envelope) {
+  return new Date().getTime() > envelope.expires
+}
@@ -0,0 +1,53 @@
+/**
+ * Method to check if the code runs inside a Web Worker or Service Worker
+ * @returns {Boolean}
+ */
+export function isWorker () {
+  return typeof globalThis.WorkerGlobalScope !== 'undefined' && globalThis instanceof globalThis.WorkerGlobalScope
+}
+
+/**
+ * Method to check if the local storage or session storage is available
+ * @param {'localStorage'|'sessionStorage'} name
+ * @returns {Boolean}
+ */
+export function hasWebStorage (name) {
+  try {
+    return typeof globalThis[name] !== 'undefined' && globalThis[name] !== null
+  } catch (e) {
+    // Accessing the storage throws a SecurityError if it is blocked by the browser
+    return false
+  }
+}
+
+/**
+ * Method to check if cookies are available
+ * @returns {Boolean}
+ */
+export function hasCookies () {
+  return typeof globalThis.document !== 'undefined' && 'cookie' in globalThis.document
+}
+
+/**
+ * Method to check if IndexedDB is available
+ * @returns {Boolean}
+ */
+export function hasIndexedDB () {
+  return typeof globalThis.indexedDB !== 'undefined' && globalThis.indexedDB !== null
+}
+
+/**
+ * Method to check if BroadcastChannel is available to notify other tabs
+ * @returns {Boolean}
+ */
+export function hasBroadcastChannel () {
+  return typeof globalThis.BroadcastChannel === 'function'
+}
+
+/**
+ * Method to check if the Web Crypto API is available
+ * @returns {Boolean}
+ */
+export function hasWebCrypto () {
+  return typeof globalThis.crypto !== 'undefined' && typeof globalThis.crypto.subtle !== 'undefined'
+}
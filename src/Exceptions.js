@@ -0,0 +1,38 @@
+function matchKeyNotValid (key) {
+  const regex = /[^a-zA-Z0-9._-]+/g
+  return String(key).match(regex) || []
+}
+
+export class InvalidKeyException extends Error {
+  constructor (key) {
+    super('The key "' + key + '" is invalid. Please remove the following characters: ' + matchKeyNotValid(key).join(','))
+    this.name = this.constructor.name
+  }
+}
+
+export class StorageUnavailableException extends Error {
+  constructor (storageType) {
+    super('The storage type "' + storageType + '" is not available in this environment.')
+    this.name = this.constructor.name
+    this.storageType = storageType
+  }
+}
+
+export class QuotaExceededException extends Error {
+  constructor (storageType, key, cause) {
+    super('The quota of the storage type "' + storageType + '" is exceeded while writing the key "' + key + '".')
+    this.name = this.constructor.name
+    this.storageType = storageType
+    this.key = key
+    this.cause = cause
+  }
+}
+
+export class DecryptionException extends Error {
+  constructor (key, cause) {
+    super('The data of the key "' + key + '" could not be decrypted. Please check the ENCRYPTION_KEY.')
+    this.name = this.constructor.name
+    this.key = key
+    this.cause = cause
+  }
+}
@@ -1,21 +1,138 @@
+import { hasIndexedDB } from './Environment.js'
+import { addNamespace, getNamespace, inNamespace, removeNamespace } from './Namespace.js'
+import { isExpired } from './Envelope.js'
+
+const KEY_VALUE_KEY_OPTIONS = { keyPath: 'key', autoIncrement: false }
+// Property of the record envelope in which values other than plain objects are stored
+const VALUE_PROPERTY = '__value'
+// Index of new stores over the expiry date, so expired records can be deleted without reading the others
+const EXPIRES_INDEX = { indexName: 'expires', indexKey: 'expires', indexOptions: { unique: false, multiEntry: false } }
+
+/**
+ * Query of a read. The records are read with a cursor over the primary key or an index. Expired records are deleted
+ * and skipped.
+ *
+ * @typedef {Object} ReadQuery
+ * @property {String} [index] Name of the index. Without an index the primary key is used.
+ * @property {*} [lower] Lower bound of the key
+ * @property {*} [upper] Upper bound of the key
+ * @property {Boolean} [lowerOpen] = false Excludes the lower bound
+ * @property {Boolean} [upperOpen] = false Excludes the upper bound
+ * @property {'next'|'prev'|'nextunique'|'prevunique'} [direction] = 'next'
+ * @property {Number} [limit] Maximum number of records
+ * @property {Number} [offset] = 0 Number of matching records to skip
+ * @property {{key: *, primaryKey: *}} [after] Cursor of a previous read, to continue behind its last record
+ * @property {function(Object): Boolean} [filter] Predicate the records have to match
+ */
+
+/**
+ * One step of a database schema. The step is applied once, when the database is upgraded to its version.
+ *
+ * @typedef {Object} DatabaseSchemaVersion
+ * @property {Number} version
+ * @property {Object<String, StoreSchema>} [stores] Stores which are created, or extended by the declared indexes
+ * @property {Array<String>} [deleteStores]
+ */
+
+/**
+ * @typedef {Object} DatabaseDescription
+ * @property {String} name
+ * @property {Number} version
+ * @property {Array<{name: String, keyPath: String|Array<String>|null, autoIncrement: Boolean, count: Number,
+ * indexes: Array<{name: String, keyPath: String|Array<String>, unique: Boolean, multiEntry: Boolean}>}>} stores
+ */
+
+/**
+ * A written or deleted record, read in the transaction of the change. The records are split into their value and
+ * their metadata and are null if they don't exist or are expired.
+ *
+ * @typedef {Object} RecordChange
+ * @property {*} key Primary key of the record
+ * @property {{data: *, expires: Number, createdAt: Number, updatedAt: Number, version?: Number}|null} before
+ * @property {{data: *, expires: Number, createdAt: Number, updatedAt: Number, version?: Number}|null} after
+ */
+
+/**
+ * @typedef {Object} StoreSchema
+ * @property {String|Array<String>} [keyPath] = 'id' Only relevant for creating the store
+ * @property {Boolean} [autoIncrement] = true Only relevant for creating the store
+ * @property {Array<{indexName: String, indexKey: String|Array<String>, indexOptions: Object}>} [indexes] Indexes which
+ * don't exist yet are created
+ * @property {Array<String>} [deleteIndexes]
+ */
+
 export default class IndexedDBUtility {
   /**
    * @param {Object} config
+   * @param {Object<String, Array<DatabaseSchemaVersion>>} [config.INDEXEDDB_SCHEMA]
+   * @param {function(Object)} [config.INDEXEDDB_ON_BLOCKED]
    */
   constructor (config) {
     this._settings = config
+    this._keyValue = new IndexedDBKeyValueUtility(config)
+
+    if (config.INDEXEDDB_ON_BLOCKED && typeof config.INDEXEDDB_ON_BLOCKED !== 'function') {
+      throw new Error('config.INDEXEDDB_ON_BLOCKED must be a function')
+    }
+    if (config.INDEXEDDB_ON_BLOCKED) {
+      // Instances of other namespaces get the events of their own databases
+      DatabaseUtility.onBlocked(config.INDEXEDDB_ON_BLOCKED, database => getNamespace(database) === (config.NAMESPACE || null))
+    }
+
+    if (config.INDEXEDDB_SCHEMA && typeof config.INDEXEDDB_SCHEMA !== 'object') {
+      throw new Error('config.INDEXEDDB_SCHEMA must be an object')
+    }
+    Object.entries(config.INDEXEDDB_SCHEMA || {}).forEach(([database, versions]) => {
+      DatabaseUtility.registerSchema(addNamespace(database, config.NAMESPACE), versions)
+    })
+  }
+
+  /**
+   * Check if IndexedDB is available in the current environment.
+   * @returns {Boolean}
+   */
+  isAvailable () {
+    return hasIndexedDB()
+  }
+
+  /**
+   * In the key-value mode every key is a record in the store config.INDEXEDDB_KEY_VALUE_STORE, with the same envelope
+   * as in LocalStorage. Otherwise the key is the name of a store.
+   * @param {Object} [options]
+   * @param {Boolean} [options.keyValue] = config.INDEXEDDB_KEY_VALUE
+   * @returns {Boolean}
+   */
+  isKeyValue (options = {}) {
+    return typeof options.keyValue === 'boolean' ? options.keyValue : this._settings.INDEXEDDB_KEY_VALUE === true
+  }
+
+  /**
+   * The namespace is applied to the database names and not to the store names.
+   * @returns {Boolean}
+   */
+  get handlesNamespace () {
+    return true
   }
 
   /**
    * Write a value to IndexedDB.
    * @param {String} storeName
-   * @param {Object} data
+   * @param {*} data A plain object is stored as record, every other value (Blob, ArrayBuffer, string, ...) is wrapped
    * @param {Object} [options]
    * @param {String} [options.database]
    * @param {Date | Number} [options.expires]
    * @param {Array} [options.indexes] Only relevant for creating the store
-   * @param {Boolean} [options.update]
+   * @param {String|Array<String>|null} [options.keyPath] = 'id' Only relevant for creating the store. An array for
+   * compound keys, null for keys which are passed as options.key.
+   * @param {Boolean} [options.autoIncrement] = true for the key path 'id', otherwise false. Only relevant for creating
+   * the store.
+   * @param {*} [options.key] Key of the data if the store has no key path
+   * @param {Boolean} [options.update] Replace an existing record. Its expiry date is kept unless options.expires is set.
+   * @param {Boolean} [options.upsert] Replace the record if it exists, otherwise add it
+   * @param {Boolean} [options.patch] Deep-merge the data into the existing record instead of replacing it
    * @param {Boolean} [options.closeDatabase]
+   * @param {Number} [options.version] Schema version of the data
+   * @param {Boolean} [options.keyValue] Write the data under the key storeName in the key-value store
    */
   write (storeName, data = {}, options = {
     databaseName: this._settings.INDEXEDDB_DATABASE,
@@ -23,16 +140,33 @@ export default class IndexedDBUtility {
     expires: new Date(Date.now() + this._settings.LIFETIME),
     update: false
   }) {
-    if (!('indexedDB' in window)) { throw new Error("This browser doesn't support IndexedDB.") }
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
     if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
+    if (this.isKeyValue(options)) {
+      return this._keyValue.write(storeName, data, options)
+    }
+
+    return this.writeRecord(storeName, data, options).then(_ => true)
+  }
 
-    options = validateOptionsWrite(data, options, this._settings)
+  /**
+   * Write a record like write, but resolve with the record before and after the write, e.g. with the key generated
+   * for a new record.
+   * @param {String} storeName
+   * @param {*} data
+   * @param {Object} [options] The options of write, except keyValue
+   * @returns {Promise<RecordChange>}
+   */
+  writeRecord (storeName, data, options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
+    options = validateOptionsWrite(data, { ...options }, this._settings)
     validateDataWrite(data, options)
 
     return new Promise((resolve, reject) => {
-      DatabaseUtility.createStore(options.database, storeName, options.indexes).then(_ => {
+      DatabaseUtility.createStore(options.database, storeName, options.indexes, getKeyOptions(options)).then(_ => {
         DatabaseUtility.getStore(options.database, storeName).then(store => {
-          if (options.update) {
+          if (options.update || options.upsert || options.patch) {
             updateDataInStore(store, data, options).then(resolve).catch(reject)
           } else {
             createDataInStore(store, data, options).then(resolve).catch(reject)
@@ -48,28 +182,46 @@ export default class IndexedDBUtility {
    * @param {Object} [options]
    * @param {String} [options.database]
    * @param {String} [options.index]
-   * @param {String | Number} [options.nameValue]
-   * @param { Number } [options.id]
+   * @param {String | Number | Date | Array} [options.nameValue] Value of the index, an array for compound indexes
+   * @param {Boolean} [options.all] = false Read every record matching the index value instead of the first one
+   * @param {Number | String | Date | Array} [options.id] Primary key of the record
+   * @param {ReadQuery} [options.query] Reads the matching records. With withMeta the result is { data, cursor }.
    * @param {Boolean} [options.closeDatabase]
    * @param {Boolean} [options.withMeta] = false
+   * @param {Boolean} [options.keyValue] Read the data of the key storeName from the key-value store
    */
   read (storeName, options = {
     databaseName: this._settings.INDEXEDDB_DATABASE,
     closeDatabase: this._settings.INDEXEDDB_CLOSE_AFTER_REQUEST
   }) {
-    if (!('indexedDB' in window)) { throw new Error("This browser doesn't support IndexedDB.") }
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
     if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
-    options = validateOptionsRead(options, this._settings)
+    if (this.isKeyValue(options)) {
+      return this._keyValue.read(storeName, options)
+    }
+    options = validateOptionsRead({ ...options }, this._settings)
+
+    return this._readRecords(storeName, options).then(result => fromRecords(result, options.withMeta))
+  }
 
+  /**
+   * @private
+   * @param {String} storeName
+   * @param {Object} options Validated options of read
+   * @returns {Promise<*>} The records, which still contain the values of toRecord
+   */
+  _readRecords (storeName, options) {
     return new Promise((resolve, reject) => {
       DatabaseUtility.openDB(options.database, {}).then(_ => {
         DatabaseUtility.getStore(options.database, storeName).then(store => {
-          if (options.index && options.nameValue) {
-            readDataByIndexAndNameValue(store, storeName, options, this.delete, this._settings).then(resolve).catch(reject)
-          } else if (options.id) {
-            readDataByID(store, storeName, options, this.delete, this._settings).then(resolve).catch(reject)
+          if (options.query) {
+            readDataByQuery(store, options).then(resolve).catch(reject)
+          } else if (options.index && options.nameValue !== undefined) {
+            readDataByIndexAndNameValue(store, options).then(resolve).catch(reject)
+          } else if (options.id !== undefined) {
+            readDataByID(store, options).then(resolve).catch(reject)
           } else {
-            readAllData(store, storeName, options, this.delete, this._settings).then(resolve).catch(reject)
+            readAllData(store, storeName, options).then(resolve).catch(reject)
           }
         }).catch(error => rejectError(options, reject, error))
       }).catch(error => rejectError(options, reject, error))
@@ -82,20 +234,25 @@ export default class IndexedDBUtility {
    * @param {Object} [options]
    * @param {String} [options.database]
    * @param {String} [options.index]
-   * @param {Number} [options.id]
-   * @param {String | Number} [options.nameValue]
+   * @param {Number | String | Date | Array} [options.id] Primary key of the record
+   * @param {String | Number | Date | Array} [options.nameValue] Every record matching the value is checked
    * @param {Boolean} [options.closeDatabase]
    * @param {Boolean} [options.withMeta] = false
+   * @param {Boolean} [options.keyValue] Check the key storeName in the key-value store
    */
   has (storeName, options = {
     databaseName: this._settings.INDEXEDDB_DATABASE,
     closeDatabase: this._settings.INDEXEDDB_CLOSE_AFTER_REQUEST
   }) {
-    if (!('indexedDB' in window)) { throw new Error("This browser doesn't support IndexedDB.") }
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
     if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
+    if (this.isKeyValue(options)) {
+      return this._keyValue.has(storeName, options)
+    }
 
     options.withMeta = false
-    return this.read(storeName, options).then(data => {
+    options.all = true
+    return this._readRecords(storeName, validateOptionsRead({ ...options }, this._settings)).then(data => {
       if (!data) {
         return false
       } else {
@@ -107,88 +264,1065 @@ export default class IndexedDBUtility {
   }
 
   /**
-   * Read a value from IndexedDB.
-   * @param {Number|String} key
+   * Delete a record, a store or a database from IndexedDB.
+   * @param {Number|String|Date|Array} key The primary key of the record, or the name of the store or database
    * @param {Object} options
    * @param {String} [options.storeName]
    * @param {'data'|'database'|'store'} [options.type] = 'data'
    * @param {String} [options.database]
    * @param {Boolean} [options.closeDatabase]
+   * @param {Boolean} [options.keyValue] Delete the key from the key-value store, if options.type is 'data'
    * @param [settings]
    */
   delete (key, options, settings) {
-    if (!('indexedDB' in window)) { throw new Error("This browser doesn't support IndexedDB.") }
-    if (typeof key !== 'string' && typeof key !== 'number') { throw new Error('Key must be a string or number') }
-    options = validateDeleteOptions(options, settings || this._settings)
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (!isValidKey(key)) { throw new Error('Key must be a string, number, date or array') }
+    if (this.isKeyValue(options) && (!options.type || options.type === 'data')) {
+      return this._keyValue.delete(key, options)
+    }
+    settings = settings || this._settings
+    options = validateDeleteOptions({ ...options }, settings)
+    if (options.type !== 'data' && typeof key !== 'string' && typeof key !== 'number') {
+      throw new Error('The name of a database or store must be a string or number')
+    }
 
     return new Promise((resolve, reject) => {
       if (options.type === 'database') {
-        deleteDatabase(key).then(resolve).catch(reject)
+        deleteDatabase(addNamespace(key, settings.NAMESPACE)).then(resolve).catch(reject)
       } else if (options.type === 'store') {
         deleteStore(key, options).then(resolve).catch(reject)
       } else {
-        deleteData(key, options).then(resolve).catch(reject)
+        deleteData(key, options).then(_ => resolve(true)).catch(reject)
       }
     })
   }
+
+  /**
+   * Delete a record like delete, but resolve with the deleted record.
+   * @param {Number|String|Date|Array} key The primary key of the record
+   * @param {Object} options The options of delete, except type and keyValue
+   * @returns {Promise<RecordChange>}
+   */
+  deleteRecord (key, options) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (!isValidKey(key)) { throw new Error('Key must be a string, number, date or array') }
+    return deleteData(key, validateDeleteOptions({ ...options, type: 'data' }, this._settings))
+  }
+
+  /**
+   * List the stores of a database, or in the key-value mode the keys of the key-value store.
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {Boolean} [options.closeDatabase]
+   * @param {Boolean} [options.keyValue]
+   * @param {Boolean} [options.withExpired] Only relevant in the key-value mode
+   * @returns {Promise<Array<String>>}
+   */
+  keys (options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (this.isKeyValue(options)) {
+      return this._keyValue.keys(options)
+    }
+    options = validateOptionsRead({ ...options }, this._settings)
+
+    return new Promise((resolve, reject) => {
+      DatabaseUtility.openDB(options.database, {}).then(db => {
+        resolveResult(options, resolve, Array.from(db.objectStoreNames))
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+
+  /**
+   * Remove the expired data of a store or of every store in a database, in one transaction. The expired records are
+   * found with the index 'expires', stores without it are read completely.
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {String} [options.storeName] Only purge this store
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<Number>} Number of removed items
+   */
+  purgeExpired (options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (options.storeName !== undefined && typeof options.storeName !== 'string') {
+      throw new Error('Option.storeName must be a string')
+    }
+    options = validateOptionsRead({ ...options }, this._settings)
+
+    return new Promise((resolve, reject) => {
+      DatabaseUtility.openDB(options.database, {}).then(db => {
+        const storeNames = Array.from(db.objectStoreNames)
+          .filter(storeName => options.storeName === undefined || storeName === options.storeName)
+        if (!storeNames.length) {
+          return resolveResult(options, resolve, 0)
+        }
+
+        let count = 0
+        const now = new Date().getTime()
+        const transaction = db.transaction(storeNames, 'readwrite')
+        storeNames.forEach(storeName => {
+          const store = transaction.objectStore(storeName)
+          if (store.indexNames.contains(EXPIRES_INDEX.indexName)) {
+            const request = store.index(EXPIRES_INDEX.indexName).getAllKeys(IDBKeyRange.upperBound(now, true))
+            request.onsuccess = () => {
+              request.result.forEach(key => store.delete(key))
+              count += request.result.length
+            }
+            return
+          }
+
+          store.openCursor().onsuccess = event => {
+            const cursor = event.target.result
+            if (!cursor) {
+              return
+            }
+            if (cursor.value.expires && now > cursor.value.expires) {
+              cursor.delete()
+              count++
+            }
+            cursor.continue()
+          }
+        })
+
+        transaction.oncomplete = () => resolveResult(options, resolve, count)
+        transaction.onerror = () => rejectError(options, reject, transaction.error)
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+
+  /**
+   * Migrate the records of a store which have an older schema version. The records are read and updated in one
+   * transaction. A transaction can't wait for a promise, so records whose migration works asynchronously, e.g. encrypted
+   * ones, are written in a second transaction, and only if they weren't changed in the meantime.
+   * @param {String} storeName
+   * @param {Number} version The current schema version. Records without a version have the version 1.
+   * @param {function(Object, Number): (Object|Promise<Object>)} migrate Gets the data of a record without the id and
+   * the metadata and its version. Returns the migrated data.
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<Number>} Number of migrated records
+   */
+  migrate (storeName, version, migrate, options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
+    if (this.isKeyValue(options)) {
+      return this._keyValue.migrate(storeName, version, migrate, options)
+    }
+    options = validateOptionsRead({ ...options }, this._settings)
+
+    return new Promise((resolve, reject) => {
+      DatabaseUtility.openDB(options.database, {}).then(db => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          return resolveResult(options, resolve, 0)
+        }
+
+        let count = 0
+        let failure = null
+        const pending = []
+        const transaction = db.transaction(storeName, 'readwrite')
+        const request = transaction.objectStore(storeName).openCursor()
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor) {
+            return
+          }
+          const record = cursor.value
+          if ((record.version || 1) < version) {
+            try {
+              const migrated = migrateRecord(record, version, migrate)
+              if (migrated instanceof Promise) {
+                pending.push({ key: cursor.primaryKey, record, migrated })
+              } else {
+                cursor.update(migrated)
+                count++
+              }
+            } catch (error) {
+              failure = error
+              return transaction.abort()
+            }
+          }
+          cursor.continue()
+        }
+        transaction.onabort = () => rejectError(options, reject, failure || transaction.error)
+        transaction.oncomplete = () => {
+          writeMigratedRecords(options.database, storeName, version, pending)
+            .then(written => resolveResult(options, resolve, count + written))
+            .catch(error => rejectError(options, reject, error))
+        }
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+
+  /**
+   * Run several operations in one transaction over the stores. If the callback throws or one of the operations fails,
+   * the transaction is aborted and every change is rolled back. The stores have to exist.
+   * Don't await anything else than the operations in the callback, because the browser commits the transaction as
+   * soon as no operation is pending.
+   * @param {String} [database] = config.INDEXEDDB_DATABASE
+   * @param {String|Array<String>} storeNames
+   * @param {function(IndexedDBTransaction): *} callback
+   * @param {Object} [options]
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<*>} The result of the callback, after the transaction is committed
+   */
+  transaction (database, storeNames, callback, options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (typeof callback !== 'function') { throw new Error('callback must be a function') }
+    storeNames = Array.isArray(storeNames) ? storeNames : [storeNames]
+    if (!storeNames.length || storeNames.some(storeName => typeof storeName !== 'string')) {
+      throw new Error('storeNames must be a string or an array of strings')
+    }
+    options = validateOptionsRead({ ...options, database: database || undefined }, this._settings)
+
+    return new Promise((resolve, reject) => {
+      DatabaseUtility.openDB(options.database, {}).then(db => {
+        const transaction = db.transaction(storeNames, 'readwrite')
+        let result
+        let failure = null
+        let finished = false
+        let committed = false
+
+        const settle = () => {
+          if (finished && committed) {
+            resolveResult(options, resolve, result)
+          }
+        }
+        transaction.oncomplete = () => {
+          committed = true
+          settle()
+        }
+        transaction.onabort = () => rejectError(options, reject, failure || transaction.error || new Error('The transaction was aborted'))
+
+        Promise.resolve().then(_ => callback(new IndexedDBTransaction(transaction, this._settings))).then(value => {
+          result = value
+          finished = true
+          settle()
+        }).catch(error => {
+          failure = error
+          try {
+            transaction.abort()
+          } catch (_) {
+            // The transaction is already finished
+            rejectError(options, reject, error)
+          }
+        })
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+
+  /**
+   * Iterate over the records of a store with for await. The records are read lazily in batches, each in its own
+   * transaction, so other promises can be awaited in the loop. Expired records are deleted and skipped.
+   * @param {String} storeName
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {String} [options.index]
+   * @param {IDBKeyRange|{lower: *, upper: *, lowerOpen: Boolean, upperOpen: Boolean}} [options.range]
+   * @param {'next'|'prev'|'nextunique'|'prevunique'} [options.direction] = 'next'
+   * @param {Number} [options.batchSize] = 100 Number of records read per transaction
+   * @param {Boolean} [options.withMeta] = false Only relevant for values which aren't plain objects
+   * @param {Boolean} [options.closeDatabase] Close the database when the iteration ends
+   * @returns {IndexedDBIterator}
+   */
+  iterate (storeName, options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
+    if (options.batchSize !== undefined && (!Number.isInteger(options.batchSize) || options.batchSize < 1)) {
+      throw new Error('Option.batchSize must be a positive integer')
+    }
+    const query = { ...getRangeBounds(options.range), index: options.index, direction: options.direction }
+    validateQuery(query)
+    options = validateOptionsRead({ ...options, index: undefined }, this._settings)
+
+    return new IndexedDBIterator(storeName, query, options, this._settings)
+  }
+
+  /**
+   * Count the records of a store with IDBObjectStore.count. Expired records which aren't deleted yet are counted too.
+   * @param {String} storeName
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {String} [options.index]
+   * @param {IDBKeyRange|{lower: *, upper: *, lowerOpen: Boolean, upperOpen: Boolean}} [options.range]
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<Number>} 0 if the store doesn't exist
+   */
+  count (storeName, options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (typeof storeName !== 'string') { throw new Error('storeName must be a string') }
+    const query = { ...getRangeBounds(options.range), index: options.index }
+    validateQuery(query)
+    options = validateOptionsRead({ ...options, index: undefined }, this._settings)
+
+    return new Promise((resolve, reject) => {
+      DatabaseUtility.openDB(options.database, {}).then(db => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          return resolveResult(options, resolve, 0)
+        }
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName)
+        const source = query.index ? store.index(query.index) : store
+        return requestResult(source.count(createKeyRange(query) || undefined))
+          .then(count => resolveResult(options, resolve, count))
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+
+  /**
+   * List the databases of the namespace with indexedDB.databases.
+   * @returns {Promise<Array<{name: String, version: Number}>>}
+   */
+  databases () {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (typeof indexedDB.databases !== 'function') {
+      return Promise.reject(new Error("This environment doesn't support listing the IndexedDB databases."))
+    }
+
+    return indexedDB.databases().then(databases => databases
+      .filter(database => inNamespace(database.name, this._settings.NAMESPACE))
+      .map(database => ({ name: removeNamespace(database.name, this._settings.NAMESPACE), version: database.version })))
+  }
+
+  /**
+   * Describe the stores of a database: their key path, indexes and number of records.
+   * @param {String} [database] = config.INDEXEDDB_DATABASE
+   * @param {Object} [options]
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<DatabaseDescription|null>} null if the database doesn't exist
+   */
+  describeDatabase (database, options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    options = validateOptionsRead({ ...options, database: database || undefined }, this._settings)
+    const name = removeNamespace(options.database, this._settings.NAMESPACE)
+
+    // Opening a database which doesn't exist would create it
+    const exists = typeof indexedDB.databases === 'function'
+      ? this.databases().then(databases => databases.some(db => db.name === name))
+      : Promise.resolve(true)
+
+    return new Promise((resolve, reject) => {
+      exists.then(exists => {
+        if (!exists) {
+          return resolve(null)
+        }
+        return DatabaseUtility.openDB(options.database, {}).then(db => {
+          const storeNames = Array.from(db.objectStoreNames)
+          const transaction = storeNames.length ? db.transaction(storeNames, 'readonly') : null
+
+          return Promise.all(storeNames.map(storeName => {
+            const store = transaction.objectStore(storeName)
+            return requestResult(store.count()).then(count => ({
+              name: storeName,
+              keyPath: store.keyPath,
+              autoIncrement: store.autoIncrement,
+              count,
+              indexes: Array.from(store.indexNames).map(indexName => {
+                const index = store.index(indexName)
+                return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry }
+              })
+            }))
+          })).then(stores => resolveResult(options, resolve, { name, version: db.version, stores }))
+        })
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+
+  /**
+   * Remove the data of every store in a database, or in the key-value mode of the key-value store. The stores are kept.
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {Boolean} [options.closeDatabase]
+   * @param {Boolean} [options.keyValue]
+   * @returns {Promise<Boolean>}
+   */
+  clear (options = {}) {
+    if (!hasIndexedDB()) { throw new Error("This environment doesn't support IndexedDB.") }
+    if (this.isKeyValue(options)) {
+      return this._keyValue.clear(options)
+    }
+    options = validateOptionsRead({ ...options }, this._settings)
+
+    return new Promise((resolve, reject) => {
+      DatabaseUtility.openDB(options.database, {}).then(db => {
+        const storeNames = Array.from(db.objectStoreNames)
+        if (!storeNames.length) {
+          return resolveResult(options, resolve, true)
+        }
+
+        const transaction = db.transaction(storeNames, 'readwrite')
+        storeNames.forEach(storeName => transaction.objectStore(storeName).clear())
+
+        transaction.oncomplete = () => resolveResult(options, resolve, true)
+        transaction.onerror = () => rejectError(options, reject, transaction.error)
+      }).catch(error => rejectError(options, reject, error))
+    })
+  }
+}
+
+/**
+ * The operations of a transaction started by IndexedDBUtility.transaction. Every operation returns a promise.
+ */
+class IndexedDBTransaction {
+  /**
+   * @param {IDBTransaction} transaction
+   * @param {Object} settings
+   */
+  constructor (transaction, settings) {
+    this._transaction = transaction
+    this._settings = settings
+  }
+
+  /**
+   * Read value(s) from a store, like IndexedDBUtility.read.
+   * @param {String} storeName
+   * @param {Object} [options]
+   * @param {Number} [options.id]
+   * @param {String} [options.index]
+   * @param {String | Number | Date | Array} [options.nameValue]
+   * @param {Boolean} [options.all]
+   * @param {ReadQuery} [options.query]
+   * @returns {Promise<Object|Array|null>}
+   */
+  read (storeName, options = {}) {
+    const store = this._transaction.objectStore(storeName)
+    options = { ...options, withMeta: false, closeDatabase: false }
+    return this._readRecords(store, options).then(result => fromRecords(result, false))
+  }
+
+  /**
+   * @private
+   * @param {IDBObjectStore} store
+   * @param {Object} options
+   * @returns {Promise<*>}
+   */
+  _readRecords (store, options) {
+    if (options.query) {
+      validateQuery(options.query)
+      return readDataByQuery(store, options)
+    }
+    if (options.index && options.nameValue !== undefined) {
+      return readDataByIndexAndNameValue(store, options)
+    }
+    if (options.id !== undefined) {
+      return requestResult(store.get(options.id)).then(record => {
+        if (record && record.expires && new Date().getTime() > record.expires) {
+          return requestResult(store.delete(options.id)).then(_ => null)
+        }
+        return record || null
+      })
+    }
+    return readDataByQuery(store, { ...options, query: {} })
+  }
+
+  /**
+   * Add a record to a store, like IndexedDBUtility.write.
+   * @param {String} storeName
+   * @param {*} data
+   * @param {Object} [options]
+   * @param {Date | Number} [options.expires]
+   * @returns {Promise<Boolean>}
+   */
+  write (storeName, data, options = {}) {
+    options = validateOptionsWrite(data, { ...options, update: false, closeDatabase: false }, this._settings)
+    validateDataWrite(data, options)
+    return createDataInStore(this._transaction.objectStore(storeName), data, options).then(_ => true)
+  }
+
+  /**
+   * Replace a record with the key of the data. createdAt is kept, as is the expiry date unless options.expires is set.
+   * @param {String} storeName
+   * @param {*} data
+   * @param {Object} [options]
+   * @param {*} [options.key] Key of the record if the store has no key path
+   * @param {Date | Number} [options.expires]
+   * @param {Boolean} [options.upsert] Add the record if it doesn't exist
+   * @param {Boolean} [options.patch] Deep-merge the data into the existing record
+   * @returns {Promise<Boolean>}
+   */
+  update (storeName, data, options = {}) {
+    options = validateOptionsWrite(data, { ...options, update: true, closeDatabase: false }, this._settings)
+    validateDataWrite(data, options)
+    return updateDataInStore(this._transaction.objectStore(storeName), data, options).then(_ => true)
+  }
+
+  /**
+   * Delete a record from a store.
+   * @param {String} storeName
+   * @param {Number|String|Date|Array} key
+   * @returns {Promise<Boolean>}
+   */
+  delete (storeName, key) {
+    return requestResult(this._transaction.objectStore(storeName).delete(key)).then(_ => true)
+  }
+
+  /**
+   * Abort the transaction and roll back every change.
+   */
+  abort () {
+    this._transaction.abort()
+  }
+}
+
+/**
+ * Async iterator over the records of a store, created by IndexedDBUtility.iterate. update and delete change the current
+ * record, i.e. the one which was returned last.
+ */
+class IndexedDBIterator {
+  /**
+   * @param {String} storeName
+   * @param {Object} query Key range, index and direction
+   * @param {Object} options Validated options of iterate
+   * @param {Object} settings
+   */
+  constructor (storeName, query, options, settings) {
+    this._storeName = storeName
+    this._query = query
+    this._options = options
+    this._settings = settings
+    this._batchSize = options.batchSize || 100
+    this._entries = []
+    this._current = null
+    this._exhausted = false
+    this._finished = false
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+
+  /**
+   * @returns {Promise<{done: Boolean, value: *}>}
+   */
+  async next () {
+    if (!this._entries.length && !this._exhausted) {
+      await this._readBatch().catch(error => {
+        this._finish()
+        throw error
+      })
+    }
+
+    this._current = this._entries.shift() || null
+    if (!this._current) {
+      this._finish()
+      return { done: true, value: undefined }
+    }
+    return { done: false, value: fromRecord(this._current.record, this._options.withMeta) }
+  }
+
+  /**
+   * Called by for await if the loop is left early.
+   * @returns {Promise<{done: Boolean}>}
+   */
+  return () {
+    this._entries = []
+    this._current = null
+    this._exhausted = true
+    this._finish()
+    return Promise.resolve({ done: true, value: undefined })
+  }
+
+  /**
+   * Replace the current record, like IndexedDBUtility.write with options.update.
+   * @param {*} data
+   * @param {Object} [options]
+   * @param {Date | Number} [options.expires]
+   * @param {Boolean} [options.patch]
+   * @returns {Promise<Boolean>}
+   */
+  update (data, options = {}) {
+    const current = this._requireCurrent()
+    options = validateOptionsWrite(data, { ...options, update: true, closeDatabase: false }, this._settings)
+    validateDataWrite(data, options)
+
+    return this._getStore().then(store => {
+      return updateDataInStore(store, data, { ...options, database: this._options.database, key: current.primaryKey })
+    }).then(_ => true)
+  }
+
+  /**
+   * Delete the current record.
+   * @returns {Promise<Boolean>}
+   */
+  delete () {
+    const current = this._requireCurrent()
+    return this._getStore()
+      .then(store => requestResult(store.delete(current.primaryKey)))
+      .then(_ => true)
+  }
+
+  /**
+   * @private
+   */
+  _readBatch () {
+    return this._getStore()
+      .then(store => readCursorBatch(store, this._query, this._batchSize))
+      .then(entries => {
+        this._entries = entries
+        this._exhausted = entries.length < this._batchSize
+        if (entries.length) {
+          const last = entries[entries.length - 1]
+          this._query = { ...this._query, after: { key: last.key, primaryKey: last.primaryKey } }
+        }
+      })
+  }
+
+  /**
+   * Other requests may have closed the database in the meantime, so it is opened again if necessary.
+   * @private
+   * @returns {Promise<IDBObjectStore>}
+   */
+  _getStore () {
+    return DatabaseUtility.openDB(this._options.database, {})
+      .then(_ => DatabaseUtility.getStore(this._options.database, this._storeName))
+  }
+
+  /**
+   * @private
+   */
+  _requireCurrent () {
+    if (!this._current) {
+      throw new Error('There is no current record. Call update and delete inside the loop.')
+    }
+    return this._current
+  }
+
+  /**
+   * @private
+   */
+  _finish () {
+    if (!this._finished && this._options.closeDatabase) {
+      DatabaseUtility.closeDB(this._options.database)
+    }
+    this._finished = true
+  }
+}
+
+/**
+ * Stores single values under keys in one shared store, with the same envelope (data, expires, createdAt, updatedAt)
+ * as LocalStorage.
+ */
+class IndexedDBKeyValueUtility {
+  /**
+   * @param {Object} config
+   */
+  constructor (config) {
+    this._settings = config
+  }
+
+  /**
+   * @param {String} key
+   * @param {*} data
+   * @param {Object} options
+   * @param {Date | Number} [options.expires]
+   * @param {Number} [options.version]
+   * @returns {Promise<Boolean>}
+   */
+  write (key, data, options) {
+    options = validateOptionsKeyValue({ ...options }, this._settings)
+    if (!options.expires) {
+      options.expires = new Date(Date.now() + this._settings.LIFETIME)
+    }
+    if (!(options.expires instanceof Date) && typeof options.expires !== 'number') {
+      throw new Error('Expires can only be a number or a date object')
+    }
+    if (typeof options.expires === 'number') {
+      options.expires = new Date(Date.now() + options.expires)
+    }
+
+    return this._withStore(options, 'readwrite', store => requestResult(store.get(key)).then(item => {
+      const now = new Date().getTime()
+      const record = {
+        key,
+        data,
+        expires: options.expires.getTime(),
+        createdAt: item && !isExpired(item) ? item.createdAt : now,
+        updatedAt: now
+      }
+      if (options.version) {
+        record.version = options.version
+      }
+      return requestResult(store.put(record))
+    })).then(_ => true)
+  }
+
+  /**
+   * @param {String} key
+   * @param {Object} options
+   * @param {Boolean} [options.withMeta] = config.WITH_META
+   * @returns {Promise<*>}
+   */
+  read (key, options) {
+    options = validateOptionsKeyValue({ ...options }, this._settings)
+    const withMeta = typeof options.withMeta === 'boolean' ? options.withMeta : this._settings.WITH_META
+
+    return this._withStore(options, 'readonly', store => requestResult(store.get(key))).then(record => {
+      if (!record) {
+        return withMeta ? { data: null } : null
+      }
+      if (isExpired(record)) {
+        return this._withStore(options, 'readwrite', store => requestResult(store.delete(key)))
+          .then(_ => withMeta ? { data: null } : null)
+      }
+
+      const { key: _, ...envelope } = record
+      return withMeta ? envelope : envelope.data
+    })
+  }
+
+  /**
+   * @param {String} key
+   * @param {Object} options
+   * @returns {Promise<Boolean>}
+   */
+  has (key, options) {
+    return this.read(key, { ...options, withMeta: false }).then(data => data !== null)
+  }
+
+  /**
+   * @param {String} key
+   * @param {Object} options
+   * @returns {Promise<Boolean>}
+   */
+  delete (key, options) {
+    options = validateOptionsKeyValue({ ...options }, this._settings)
+    return this._withStore(options, 'readwrite', store => requestResult(store.delete(key))).then(_ => true)
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Boolean} [options.withExpired] = false
+   * @returns {Promise<Array<String>>}
+   */
+  keys (options) {
+    options = validateOptionsKeyValue({ ...options }, this._settings)
+    return this._withStore(options, 'readonly', store => requestResult(store.getAll())).then(records => {
+      return (records || []).filter(record => options.withExpired || !isExpired(record)).map(record => record.key)
+    })
+  }
+
+  /**
+   * @param {Object} options
+   * @returns {Promise<Boolean>}
+   */
+  clear (options) {
+    options = validateOptionsKeyValue({ ...options }, this._settings)
+    return this._withStore(options, 'readwrite', store => requestResult(store.clear())).then(_ => true)
+  }
+
+  /**
+   * Migrate the data of a key, see IndexedDBUtility.migrate.
+   * @param {String} key
+   * @param {Number} version
+   * @param {function(*, Number): *} migrate
+   * @param {Object} options
+   * @returns {Promise<Number>} Number of migrated records
+   */
+  migrate (key, version, migrate, options) {
+    options = validateOptionsKeyValue({ ...options }, this._settings)
+    const isOutdated = record => record && !isExpired(record) && (record.version || 1) < version
+    const toMigrated = (record, data) => ({ ...record, data, updatedAt: new Date().getTime(), version })
+
+    // The record is read and written in one transaction, unless the migration works asynchronously
+    let pending = null
+    return this._withStore(options, 'readwrite', store => new Promise((resolve, reject) => {
+      const request = store.get(key)
+      request.onerror = () => reject(request.error)
+      request.onsuccess = () => {
+        const record = request.result
+        if (!isOutdated(record)) {
+          return resolve(0)
+        }
+        let data
+        try {
+          data = migrate(record.data, record.version || 1)
+        } catch (error) {
+          return reject(error)
+        }
+        if (data instanceof Promise) {
+          pending = { record, data }
+          return resolve(0)
+        }
+        requestResult(store.put(toMigrated(record, data))).then(_ => resolve(1), reject)
+      }
+    }), false).then(count => {
+      if (!pending) {
+        return count || 0
+      }
+      return pending.data.then(data => this._withStore(options, 'readwrite', store => new Promise((resolve, reject) => {
+        const request = store.get(key)
+        request.onerror = () => reject(request.error)
+        request.onsuccess = () => {
+          const record = request.result
+          // Skip the record if it was changed after it was read
+          if (!isOutdated(record) || record.updatedAt !== pending.record.updatedAt) {
+            return resolve(0)
+          }
+          requestResult(store.put(toMigrated(record, data))).then(_ => resolve(1), reject)
+        }
+      }), false))
+    })
+  }
+
+  /**
+   * Run an operation on the key-value store. The store is created for writes unless create is false. Operations on a
+   * missing store resolve with undefined.
+   * @private
+   * @param {Object} options
+   * @param {'readonly'|'readwrite'} mode
+   * @param {function(IDBObjectStore): Promise} operation
+   * @param {Boolean} [create] = true for readwrite. Create the store if it doesn't exist.
+   * @returns {Promise}
+   */
+  _withStore (options, mode, operation, create = mode === 'readwrite') {
+    const storeName = this._settings.INDEXEDDB_KEY_VALUE_STORE
+    const opened = create
+      ? DatabaseUtility.createStore(options.database, storeName, [], KEY_VALUE_KEY_OPTIONS)
+      : DatabaseUtility.openDB(options.database, {})
+
+    return new Promise((resolve, reject) => {
+      opened.then(_ => DatabaseUtility.getDB(options.database)).then(db => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          return undefined
+        }
+        return operation(db.transaction(storeName, mode).objectStore(storeName))
+      }).then(result => resolveResult(options, resolve, result)).catch(error => rejectError(options, reject, error))
+    })
+  }
 }
 
 class DatabaseUtility {
   static _databaseList = []
+  static _connectionUses = {}
+  static _openRequests = {}
+  static _upgrades = {}
+  static _blockedListeners = new Set()
+  static _schemas = {}
 
   /**
-   * Method to open a database
+   * Method to declare the stores and indexes of a database. The database is opened with the highest declared version.
+   * @param {String} dbName
+   * @param {Array<DatabaseSchemaVersion>} versions
+   */
+  static registerSchema (dbName, versions) {
+    if (!Array.isArray(versions) || !versions.length) {
+      throw new Error(`The schema of '${dbName}' must be a non-empty array of versions`)
+    }
+    versions.forEach(step => {
+      if (!Number.isInteger(step?.version) || step.version < 1) {
+        throw new Error(`The versions in the schema of '${dbName}' must be positive integers`)
+      }
+      if (step.stores && typeof step.stores !== 'object') {
+        throw new Error(`The stores in the schema of '${dbName}' must be an object`)
+      }
+      if (step.deleteStores && !Array.isArray(step.deleteStores)) {
+        throw new Error(`The deleteStores in the schema of '${dbName}' must be an array`)
+      }
+    })
+    if (new Set(versions.map(step => step.version)).size !== versions.length) {
+      throw new Error(`The schema of '${dbName}' declares a version twice`)
+    }
+
+    this._schemas[dbName] = [...versions].sort((a, b) => a.version - b.version)
+  }
+
+  /**
+   * Method to register a callback which is called when opening, upgrading or deleting a database is blocked by
+   * connections in other tabs. The request continues as soon as those connections are closed.
+   * @param {function({database: String, oldVersion: Number, newVersion: Number|null})} callback
+   * @param {function(String): Boolean} [filter] Only the databases for which the filter returns true are reported
+   * @returns {function()} Function to remove the callback
+   */
+  static onBlocked (callback, filter = () => true) {
+    const entry = { listener: callback, filter }
+    this._blockedListeners.add(entry)
+    return () => this._blockedListeners.delete(entry)
+  }
+
+  /**
+   * Method to open a database. Without a version, the declared version of the schema or the current version is used.
+   * Concurrent calls share one connection per database.
    * @param {*} dbName
    * @param {Object} listener
-   * @param {Number} version
+   * @param {Number} [version]
    */
-  static openDB (dbName, listener, version = new Date().getTime()) {
+  static openDB (dbName, listener, version) {
     const { onupgradeneeded } = listener
+    const schema = this._schemas[dbName]
+    if (schema && !version) {
+      version = schema[schema.length - 1].version
+    }
 
-    return new Promise((resolve, reject) => {
-      this.getDB(dbName).then(db => {
-        resolve(db)
-      }).catch(_ => {
-        const req = indexedDB.open(dbName, version)
+    const currentDatabase = this._databaseList[dbName]
+    if (currentDatabase && (!version || currentDatabase.version >= version)) {
+      return Promise.resolve(this._use(dbName, currentDatabase))
+    }
+    if (this._openRequests[dbName]) {
+      const retry = () => this.openDB(dbName, listener, version)
+      return this._openRequests[dbName].then(retry, retry)
+    }
+    if (currentDatabase) {
+      this._disconnect(dbName)
+    }
 
-        req.onsuccess = event => {
-          this._databaseList[dbName] = event.target.result
-          resolve(event.target.result)
+    const request = new Promise((resolve, reject) => {
+      const req = version ? indexedDB.open(dbName, version) : indexedDB.open(dbName)
+
+      req.onsuccess = event => {
+        const db = event.target.result
+        // Another tab wants to upgrade or delete the database. The connection is closed so that it isn't blocked,
+        // the next request opens the database again.
+        db.onversionchange = () => this._disconnect(dbName, db)
+        db.onclose = () => this._disconnect(dbName, db)
+        this._databaseList[dbName] = db
+        resolve(this._use(dbName, db))
+      }
+
+      req.onupgradeneeded = event => {
+        if (schema) {
+          upgradeSchema(event, schema)
         }
+        if (onupgradeneeded) {
+          onupgradeneeded(event)
+        }
+      }
+      req.onblocked = event => this._notifyBlocked(dbName, event)
+      req.onerror = () => reject(req.error)
+    })
+    this._openRequests[dbName] = request
+    const done = () => {
+      if (this._openRequests[dbName] === request) {
+        delete this._openRequests[dbName]
+      }
+    }
+    request.then(done, done)
+
+    return request
+  }
+
+  /**
+   * Method to change the stores of a database without a declared schema. The database is reopened with the next
+   * version, and the listener is called in the upgrade transaction. Upgrades of the same database run one after
+   * another.
+   * @param {String} dbName
+   * @param {function(Event)} onupgradeneeded
+   */
+  static upgradeDB (dbName, onupgradeneeded) {
+    if (this._schemas[dbName]) {
+      return Promise.reject(new Error(`The stores of '${dbName}' are declared in config.INDEXEDDB_SCHEMA. Add a new version to change them.`))
+    }
+
+    return this._queueUpgrade(dbName, async () => {
+      const db = await this.openDB(dbName, {})
+      return this.openDB(dbName, { onupgradeneeded }, db.version + 1)
+    })
+  }
+
+  /**
+   * Method to delete a database. Resolves once the database is deleted.
+   * @param {String} dbName
+   * @returns {Promise<Boolean>}
+   */
+  static deleteDB (dbName) {
+    return this._queueUpgrade(dbName, async () => {
+      await this._openRequests[dbName]?.catch(() => {})
+      this._disconnect(dbName)
+
+      return new Promise((resolve, reject) => {
+        const req = indexedDB.deleteDatabase(dbName)
+        req.onsuccess = () => resolve(true)
+        req.onblocked = event => this._notifyBlocked(dbName, event)
+        req.onerror = () => reject(req.error)
+      })
+    })
+  }
+
+  /**
+   * Method to close a database once it is idle. Requests share the connection, so it is only closed if no request
+   * started to use it after the close was requested. Resolves when the connection is closed or kept.
+   * @param {*} dbName
+   * @returns {Promise<Boolean>} Whether the connection was closed
+   */
+  static closeDB (dbName) {
+    const db = this._databaseList[dbName]
+    if (!db) {
+      return Promise.resolve(false)
+    }
+
+    // Requests get the connection and create their transactions in the same task, so a close in a later task
+    // doesn't interrupt them. Running transactions finish before the connection closes.
+    const uses = this._connectionUses[dbName]
+    return new Promise(resolve => setTimeout(resolve, 0))
+      .then(() => this._connectionUses[dbName] === uses && this._disconnect(dbName, db))
+  }
+
+  /**
+   * Count the requests which use the current connection of a database.
+   * @private
+   * @param {String} dbName
+   * @param {IDBDatabase} db
+   * @returns {IDBDatabase}
+   */
+  static _use (dbName, db) {
+    this._connectionUses[dbName] = (this._connectionUses[dbName] || 0) + 1
+    return db
+  }
+
+  /**
+   * @private
+   * @param {String} dbName
+   * @param {IDBDatabase} [db] Only close the connection if it is still the current one
+   * @returns {Boolean} Whether a connection was closed
+   */
+  static _disconnect (dbName, db = this._databaseList[dbName]) {
+    if (!db || this._databaseList[dbName] !== db) {
+      return false
+    }
+    delete this._databaseList[dbName]
+    db.close()
+    return true
+  }
+
+  /**
+   * Run an upgrade or deletion of a database after the ones which are already running.
+   * @private
+   * @param {String} dbName
+   * @param {function(): Promise} operation
+   * @returns {Promise}
+   */
+  static _queueUpgrade (dbName, operation) {
+    const pending = this._upgrades[dbName] || Promise.resolve()
+    const upgrade = pending.then(() => {}, () => {}).then(operation)
+    this._upgrades[dbName] = upgrade
+
+    const done = () => {
+      if (this._upgrades[dbName] === upgrade) {
+        delete this._upgrades[dbName]
+      }
+    }
+    upgrade.then(done, done)
 
-        req.onupgradeneeded = onupgradeneeded
-        req.onerror = reject
-      })
-    })
+    return upgrade
   }
 
   /**
-   * Method to close a database
-   * @param {*} dbName
+   * @private
+   * @param {String} dbName
+   * @param {IDBVersionChangeEvent} event
    */
-  static closeDB (dbName) {
-    const currentDatabase = this._databaseList[dbName]
-    if (currentDatabase) {
-      delete this._databaseList[dbName]
-      currentDatabase.close()
-      return Promise.resolve(true)
-    } else {
-      return Promise.resolve()
-    }
+  static _notifyBlocked (dbName, event) {
+    this._blockedListeners.forEach(({ listener, filter }) => filter(dbName) && listener({
+      database: dbName,
+      oldVersion: event.oldVersion,
+      newVersion: event.newVersion
+    }))
   }
 
   /**
-   * Method to get a database
+   * Method to get a database. A closed database is opened again.
    * @param {String} dbName
+   * @returns {Promise<IDBDatabase>}
    */
   static getDB (dbName) {
-    const curDB = this._databaseList[dbName]
-
-    if (curDB) {
-      return Promise.resolve(curDB)
-    } else {
-      return Promise.reject(new Error(`please open ${dbName} DB first`))
-    }
+    return this.openDB(dbName, {})
   }
 
   /**
@@ -212,47 +1346,86 @@ class DatabaseUtility {
   }
 
   /**
-   * Method to create store in database
+   * Method to create store in database. A new store gets an index over the expiry date. The indexes which are missing
+   * in an existing store are added.
    * @param {String} dbName
    * @param {String} storeName
    * @param {Array} indexes
-   * @param {Number} version
+   * @param {{keyPath: String, autoIncrement: Boolean}} [keyOptions] Only relevant for creating the store
    */
-  static async createStore (dbName, storeName, indexes = []) {
-    let store = null
+  static async createStore (dbName, storeName, indexes = [], keyOptions = { keyPath: 'id', autoIncrement: true }) {
+    const db = await this.openDB(dbName, {})
 
-    const keyOptions = {
-      keyPath: 'id',
-      autoIncrement: true
+    let missingIndexes = getStoreIndexes(keyOptions.keyPath, indexes)
+    if (db.objectStoreNames.contains(storeName)) {
+      // The key path of an existing store decides about the index 'id'. A schema manages the indexes of its stores.
+      const existing = db.transaction(storeName, 'readonly').objectStore(storeName)
+      missingIndexes = (this._schemas[dbName] ? indexes : getStoreIndexes(existing.keyPath, indexes))
+        .filter(index => !existing.indexNames.contains(index.indexName))
+      if (!missingIndexes.length) {
+        return null
+      }
+    }
+    if (this._schemas[dbName]) {
+      throw new Error(`The store '${storeName}' and its indexes must be declared for '${dbName}' in config.INDEXEDDB_SCHEMA`)
     }
 
-    indexes = [
-      {
-        indexName: 'id',
-        indexKey: 'id',
-        indexOptions: { unqiue: true, multiEntry: false }
-      },
-      ...indexes
-    ]
+    let store = null
+    await this.upgradeDB(dbName, event => {
+      const db = event.target.result
+      store = db.objectStoreNames.contains(storeName)
+        ? event.target.transaction.objectStore(storeName)
+        : db.createObjectStore(storeName, keyOptions)
+      // Another upgrade may have created some of the indexes in the meantime
+      missingIndexes
+        .filter(e => !store.indexNames.contains(e.indexName))
+        .forEach(e => store.createIndex(e.indexName, e.indexKey, e.indexOptions))
+    })
 
-    await this.openDB(
-      dbName,
-      {
-        onupgradeneeded: event => {
-          const db = event.target.result
+    return store
+  }
+}
 
-          if (db.objectStoreNames.contains(storeName)) {
-            return
-          }
+/**
+ * Apply the versions of a schema which are newer than the database, in ascending order.
+ * @param {IDBVersionChangeEvent} event
+ * @param {Array<DatabaseSchemaVersion>} versions
+ */
+function upgradeSchema (event, versions) {
+  const db = event.target.result
+  const transaction = event.target.transaction
 
-          store = db.createObjectStore(storeName, keyOptions)
-          indexes.forEach(e => store.createIndex(e.indexName, e.indexKey, e.indexOptions))
-        }
+  versions.filter(step => step.version > event.oldVersion && step.version <= event.newVersion).forEach(step => {
+    (step.deleteStores || []).forEach(storeName => {
+      if (db.objectStoreNames.contains(storeName)) {
+        db.deleteObjectStore(storeName)
+      }
+    })
+
+    Object.entries(step.stores || {}).forEach(([storeName, storeSchema]) => {
+      const created = !db.objectStoreNames.contains(storeName)
+      const store = !created
+        ? transaction.objectStore(storeName)
+        : db.createObjectStore(storeName, {
+          keyPath: storeSchema.keyPath === undefined ? 'id' : storeSchema.keyPath,
+          autoIncrement: storeSchema.autoIncrement === undefined ? true : storeSchema.autoIncrement
+        })
+      if (created) {
+        store.createIndex(EXPIRES_INDEX.indexName, EXPIRES_INDEX.indexKey, EXPIRES_INDEX.indexOptions)
       }
-    )
 
-    return store
-  }
+      ;(storeSchema.deleteIndexes || []).forEach(indexName => {
+        if (store.indexNames.contains(indexName)) {
+          store.deleteIndex(indexName)
+        }
+      })
+      ;(storeSchema.indexes || []).forEach(index => {
+        if (!store.indexNames.contains(index.indexName)) {
+          store.createIndex(index.indexName, index.indexKey, index.indexOptions)
+        }
+      })
+    })
+  })
 }
 
 /**
@@ -263,9 +1436,13 @@ class DatabaseUtility {
  * @param {Date | Number} [options.expires]
  * @param {Array} [options.indexes] Only relevant for creating the database
  * @param {Boolean} [options.update]
+ * @param {Boolean} [options.upsert]
+ * @param {Boolean} [options.patch]
  * @param {Boolean} [options.closeDatabase]
  */
 function validateOptionsWrite (data, options, settings) {
+  // Updates keep the expiry date of the record unless a new one is given
+  options.keepExpires = !options.expires
   if (!options.expires) {
     options.expires = new Date(Date.now() + settings.LIFETIME)
   }
@@ -281,25 +1458,37 @@ function validateOptionsWrite (data, options, settings) {
   if (typeof options.update !== 'boolean') {
     options.update = false
   }
+  if (options.upsert !== undefined && typeof options.upsert !== 'boolean') {
+    throw new Error('Option.upsert must be a boolean')
+  }
+  if (options.patch !== undefined && typeof options.patch !== 'boolean') {
+    throw new Error('Option.patch must be a boolean')
+  }
   if (options.database && typeof options.database !== 'string') {
     throw new Error('Option.database must be a string')
   }
-  if (!options.database) {
-    options.database = settings.INDEXEDDB_DATABASE
-  }
+  options.database = addNamespace(options.database || settings.INDEXEDDB_DATABASE, settings.NAMESPACE)
   if (options.closeDatabase && typeof options.closeDatabase !== 'boolean') {
     throw new Error('Option.closeDatabase must be a boolean')
   }
   if (typeof options.closeDatabase !== 'boolean') {
     options.closeDatabase = settings.INDEXEDDB_CLOSE_AFTER_REQUEST
   }
-  if (options.update && (!('id' in data) || typeof data.id !== 'number')) {
-    throw new Error('In order to update the data, you have to provide an id as number in your data object.')
+  if (options.keyPath !== undefined && options.keyPath !== null && typeof options.keyPath !== 'string' &&
+    !(Array.isArray(options.keyPath) && options.keyPath.every(path => typeof path === 'string'))) {
+    throw new Error('Option.keyPath must be a string, an array of strings or null')
+  }
+  if (options.autoIncrement !== undefined && typeof options.autoIncrement !== 'boolean') {
+    throw new Error('Option.autoIncrement must be a boolean')
+  }
+  if (options.key !== undefined && !isValidKey(options.key)) {
+    throw new Error('Option.key must be a string, number, date or array')
   }
   if (options.indexes && (!Array.isArray(options.indexes) || typeof options.indexes[0]?.indexName !== 'string' ||
-    typeof options.indexes[0]?.indexKey !== 'string' || typeof options.indexes[0]?.indexOptions?.unqiue !== 'boolean' ||
+    (typeof options.indexes[0]?.indexKey !== 'string' && !Array.isArray(options.indexes[0]?.indexKey)) ||
+    typeof options.indexes[0]?.indexOptions?.unqiue !== 'boolean' ||
     typeof options.indexes[0]?.indexOptions?.multiEntry !== 'boolean')) {
-    throw new Error("The Array 'indexes' in option does not meet the requirements. It should follows this scheme {indexKey: string, " +
+    throw new Error("The Array 'indexes' in option does not meet the requirements. It should follows this scheme {indexKey: string | Array<string>, " +
       'indexName: string, indexOptions: {unqiue: boolean, multiEntry: boolean}}')
   }
 
@@ -307,8 +1496,12 @@ function validateOptionsWrite (data, options, settings) {
 }
 
 function validateDataWrite (data, options) {
-  if (data && typeof data !== 'object') {
-    throw new Error('data must be an object')
+  // Other values are stored in a record envelope
+  if (!isPlainObject(data)) {
+    return
+  }
+  if (VALUE_PROPERTY in data) {
+    throw new Error(`You are not allowed to add "${VALUE_PROPERTY}" in the data object`)
   }
   if ('expires' in data) {
     throw new Error('You are not allowed to add "expires" in the data object')
@@ -316,8 +1509,8 @@ function validateDataWrite (data, options) {
   if ('createdAt' in data) {
     throw new Error('You are not allowed to add "createdAt" in the data object')
   }
-  if (!options.update && 'id' in data) {
-    throw new Error('You are not allowed to add "id" in the data object if you are not updating the data')
+  if (options.version && 'version' in data) {
+    throw new Error('You are not allowed to add "version" in the data object if a schema is registered')
   }
 
   if ('updatedAt' in data) {
@@ -327,8 +1520,23 @@ function validateDataWrite (data, options) {
 
 function updateDataInStore (store, data, options) {
   return new Promise((resolve, reject) => {
+    const key = options.key !== undefined ? options.key : getKeyFromPath(data, store.keyPath)
+    if (key === undefined) {
+      if (options.upsert) {
+        return createDataInStore(store, data, options).then(resolve).catch(reject)
+      }
+      return rejectError(options, reject, new Error(store.keyPath === null
+        ? 'In order to update the data, you have to provide its key as Option.key.'
+        : `In order to update the data, you have to provide the key '${store.keyPath}' in your data object.`))
+    }
+
+    const keyOfData = getKeyFromPath(data, store.keyPath)
+    if (keyOfData !== undefined && indexedDB.cmp(key, keyOfData) !== 0) {
+      return rejectError(options, reject, new Error(`The key of the data doesn't match the key ${key}`))
+    }
+
     // Fetch data from store
-    const idQuery = store.get(data.id)
+    const idQuery = store.get(key)
 
     idQuery.onerror = function () {
       if (options.closeDatabase) {
@@ -338,14 +1546,28 @@ function updateDataInStore (store, data, options) {
     }
 
     idQuery.onsuccess = function () {
-      if (idQuery.result) {
-        const req = store.put({ ...data, expires: idQuery.result.expires, createdAt: idQuery.result.createdAt, updatedAt: new Date().getTime() })
+      const existing = idQuery.result && !isExpired(idQuery.result) ? idQuery.result : undefined
+      if (existing) {
+        const { expires, createdAt, updatedAt, version, ...current } = existing
+        const record = {
+          ...(options.patch && isPlainObject(data) && !(VALUE_PROPERTY in current) ? deepMerge(current, data) : toRecord(data)),
+          expires: options.keepExpires ? expires : options.expires.getTime(),
+          createdAt,
+          updatedAt: new Date().getTime()
+        }
+        if (options.version || version) {
+          record.version = options.version || version
+        }
+        if (typeof store.keyPath === 'string' && getKeyFromPath(record, store.keyPath) === undefined) {
+          record[store.keyPath] = key
+        }
+        const req = store.keyPath === null ? store.put(record, key) : store.put(record)
 
         req.onsuccess = event => {
           if (options.closeDatabase) {
             DatabaseUtility.closeDB(options.database)
           }
-          resolve(true)
+          resolve({ key: req.result, before: toEnvelope(existing), after: toEnvelope(record) })
         }
         req.onerror = () => {
           if (options.closeDatabase) {
@@ -353,26 +1575,180 @@ function updateDataInStore (store, data, options) {
           }
           reject(new Error('Unable to update data in store'))
         }
+      } else if (options.upsert) {
+        createDataInStore(store, data, { ...options, key: store.keyPath === null ? key : undefined }).then(resolve).catch(reject)
       } else {
-        reject(new Error(`Error while updating data in ${options.database}. Id ${data.id} not found.`))
+        rejectError(options, reject, new Error(`Error while updating data in ${options.database}. Key ${key} not found.`))
       }
     }
   })
 }
+
+/**
+ * Migrate the data of a record and return the record with the new version.
+ * @param {Object} record
+ * @param {Number} version
+ * @param {function(*, Number): *} migrate
+ * @returns {Object|Promise<Object>} A promise if the migration works asynchronously
+ */
+function migrateRecord (record, version, migrate) {
+  const { id, expires, createdAt, updatedAt, version: recordVersion, ...data } = record
+  const toMigrated = migratedData => ({
+    ...toRecord(migratedData), id, expires, createdAt, updatedAt: new Date().getTime(), version
+  })
+  const migrated = migrate(fromRecord(data), recordVersion || 1)
+  return migrated instanceof Promise ? migrated.then(toMigrated) : toMigrated(migrated)
+}
+
+/**
+ * Write the records of asynchronous migrations. A record is skipped if it was changed after it was read.
+ * @param {String} dbName
+ * @param {String} storeName
+ * @param {Number} version
+ * @param {Array<{key: *, record: Object, migrated: Promise<Object>}>} pending
+ * @returns {Promise<Number>} Number of written records
+ */
+function writeMigratedRecords (dbName, storeName, version, pending) {
+  if (!pending.length) {
+    return Promise.resolve(0)
+  }
+
+  // The connection may have been closed while the migrations were running
+  const opened = Promise.all(pending.map(({ migrated }) => migrated))
+    .then(records => DatabaseUtility.openDB(dbName, {}).then(db => [db, records]))
+  return opened.then(([db, records]) => new Promise((resolve, reject) => {
+    let count = 0
+    const transaction = db.transaction(storeName, 'readwrite')
+    const store = transaction.objectStore(storeName)
+    pending.forEach(({ key, record }, index) => {
+      const request = store.get(key)
+      request.onsuccess = () => {
+        const current = request.result
+        if (current && current.updatedAt === record.updatedAt && (current.version || 1) < version) {
+          store.keyPath === null ? store.put(records[index], key) : store.put(records[index])
+          count++
+        }
+      }
+    })
+    transaction.oncomplete = () => resolve(count)
+    transaction.onerror = () => reject(transaction.error)
+  }))
+}
+
+/**
+ * Merge the properties of source into target. Plain objects are merged recursively, every other value is replaced.
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} A new object, target and source are not modified
+ */
+function deepMerge (target, source) {
+  const result = { ...target }
+  for (const [property, value] of Object.entries(source)) {
+    result[property] = isPlainObject(value) && isPlainObject(result[property])
+      ? deepMerge(result[property], value)
+      : value
+  }
+  return result
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Plain objects are stored as records. Every other value, e.g. a Blob, an ArrayBuffer, an array or a string, is stored
+ * in the property VALUE_PROPERTY of the record.
+ * @param {*} data
+ * @returns {Object} The record without its metadata
+ */
+function toRecord (data) {
+  return isPlainObject(data) ? data : { [VALUE_PROPERTY]: data }
+}
+
+/**
+ * Get the value of a record which was written by toRecord.
+ * @param {Object|null} record
+ * @param {Boolean} [withMeta] Return the value as data next to the metadata of the record
+ * @returns {*} The record itself if it contains an object
+ */
+function fromRecord (record, withMeta) {
+  if (record === null || typeof record !== 'object' || !(VALUE_PROPERTY in record)) {
+    return record
+  }
+  const { [VALUE_PROPERTY]: data, ...meta } = record
+  return withMeta ? { data, ...meta } : data
+}
+
+/**
+ * Split a record into its value and its metadata.
+ * @param {Object|undefined|null} record
+ * @returns {{data: *, expires: Number, createdAt: Number, updatedAt: Number, version?: Number}|null} null if the record
+ * doesn't exist or is expired
+ */
+function toEnvelope (record) {
+  if (!record || isExpired(record)) {
+    return null
+  }
+  const { expires, createdAt, updatedAt, version, ...data } = record
+  const envelope = { data: fromRecord(data), expires, createdAt, updatedAt }
+  if (version) {
+    envelope.version = version
+  }
+  return envelope
+}
+
+/**
+ * Replace the records of a read result by their values.
+ * @param {*} result
+ * @param {Boolean} withMeta
+ * @returns {*}
+ */
+function fromRecords (result, withMeta) {
+  if (!withMeta) {
+    return Array.isArray(result) ? result.map(record => fromRecord(record)) : fromRecord(result)
+  }
+  if (Array.isArray(result.data)) {
+    return { ...result, data: result.data.map(record => fromRecord(record, true)) }
+  }
+  return result.data !== null && typeof result.data === 'object' && VALUE_PROPERTY in result.data
+    ? { ...result, ...fromRecord(result.data, true) }
+    : result
+}
+
 function createDataInStore (store, data, options) {
   return new Promise((resolve, reject) => {
-    const req = store.add({
-      ...data,
+    if (store.keyPath === 'id' && store.autoIncrement && isPlainObject(data) && 'id' in data && !options.upsert) {
+      return rejectError(options, reject, new Error('You are not allowed to add "id" in the data object if you are not updating the data'))
+    }
+    if (store.keyPath === null && !store.autoIncrement && options.key === undefined) {
+      return rejectError(options, reject, new Error(`The store '${store.name}' has no key path, so Option.key is required`))
+    }
+    if (!isPlainObject(data) && store.keyPath !== null && !store.autoIncrement) {
+      return rejectError(options, reject, new Error(`The key path of the store '${store.name}' requires an object as data`))
+    }
+
+    const record = {
+      ...toRecord(data),
       expires: options.expires.getTime(),
       createdAt: new Date().getTime(),
       updatedAt: new Date().getTime()
-    })
+    }
+    if (options.version) {
+      record.version = options.version
+    }
+    // An upsert may replace an expired record with the same key
+    const method = options.upsert ? 'put' : 'add'
+    const req = store.keyPath === null && options.key !== undefined ? store[method](record, options.key) : store[method](record)
 
     req.onsuccess = event => {
       if (options.closeDatabase) {
         DatabaseUtility.closeDB(options.database)
       }
-      resolve(true)
+      // The key of a new record of an auto-increment store is generated by the put
+      const written = typeof store.keyPath === 'string' && getKeyFromPath(record, store.keyPath) === undefined
+        ? { ...record, [store.keyPath]: req.result }
+        : record
+      resolve({ key: req.result, before: null, after: toEnvelope(written) })
     }
     req.onerror = () => {
       if (options.closeDatabase) {
@@ -387,11 +1763,9 @@ function validateOptionsRead (options, settings) {
   if (options.database && typeof options.database !== 'string') {
     throw new Error('Option.database must be a string')
   }
-  if (!options.database) {
-    options.database = settings.INDEXEDDB_DATABASE
-  }
-  if (options.id && typeof options.id !== 'number') {
-    throw new Error('Option.closeDatabase must be a number')
+  options.database = addNamespace(options.database || settings.INDEXEDDB_DATABASE, settings.NAMESPACE)
+  if (options.id !== undefined && !isValidKey(options.id)) {
+    throw new Error('Option.id must be a string, number, date or array')
   }
   if (options.closeDatabase && typeof options.closeDatabase !== 'boolean') {
     throw new Error('Option.closeDatabase must be a boolean')
@@ -402,8 +1776,12 @@ function validateOptionsRead (options, settings) {
   if (options.index && typeof options.index !== 'string') {
     throw new Error('Option.index must be a string')
   }
-  if (options.nameValue && (typeof options.nameValue !== 'string' && typeof options.nameValue !== 'number')) {
-    throw new Error('Option.nameValue must be a string or number')
+  if (options.nameValue !== undefined && typeof options.nameValue !== 'string' && typeof options.nameValue !== 'number' &&
+    !(options.nameValue instanceof Date) && !Array.isArray(options.nameValue)) {
+    throw new Error('Option.nameValue must be a string, number, date or array')
+  }
+  if (options.all && typeof options.all !== 'boolean') {
+    throw new Error('Option.all must be a boolean')
   }
   if (options.withMeta && typeof options.withMeta !== 'boolean') {
     throw new Error('options.withMeta must be a boolean')
@@ -411,70 +1789,261 @@ function validateOptionsRead (options, settings) {
   if (typeof options.withMeta !== 'boolean') {
     options.withMeta = settings.AS_OBJECT
   }
+  if (options.query) {
+    validateQuery(options.query)
+  }
 
   return options
 }
 
-function readDataByIndexAndNameValue (store, storeName, options, deleteMethod, settings) {
+function validateQuery (query) {
+  if (typeof query !== 'object') {
+    throw new Error('Option.query must be an object')
+  }
+  if (query.index && typeof query.index !== 'string') {
+    throw new Error('Option.query.index must be a string')
+  }
+  if (query.direction && !['next', 'prev', 'nextunique', 'prevunique'].includes(query.direction)) {
+    throw new Error('Option.query.direction must be "next", "prev", "nextunique" or "prevunique"')
+  }
+  // A page without records would end the paging with a null cursor
+  if (query.limit !== undefined && (!Number.isInteger(query.limit) || query.limit < 1)) {
+    throw new Error('Option.query.limit must be an integer greater than 0')
+  }
+  if (query.offset !== undefined && (!Number.isInteger(query.offset) || query.offset < 0)) {
+    throw new Error('Option.query.offset must be a positive integer')
+  }
+  if (query.after && (typeof query.after !== 'object' || !('key' in query.after) || !('primaryKey' in query.after))) {
+    throw new Error('Option.query.after must be the cursor of a previous read')
+  }
+  if (query.filter && typeof query.filter !== 'function') {
+    throw new Error('Option.query.filter must be a function')
+  }
+}
+
+/**
+ * Create the key range of a query. The range of a continued query starts at the key of the cursor.
+ * @param {ReadQuery} query
+ * @returns {IDBKeyRange|null}
+ */
+function createKeyRange (query) {
+  let { lower, upper, lowerOpen = false, upperOpen = false } = query
+  if (query.after) {
+    if (isDescending(query) && (upper === undefined || indexedDB.cmp(query.after.key, upper) < 0)) {
+      upper = query.after.key
+      upperOpen = false
+    } else if (!isDescending(query) && (lower === undefined || indexedDB.cmp(query.after.key, lower) > 0)) {
+      lower = query.after.key
+      lowerOpen = false
+    }
+  }
+
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen)
+  }
+  if (lower !== undefined) {
+    return IDBKeyRange.lowerBound(lower, lowerOpen)
+  }
+  if (upper !== undefined) {
+    return IDBKeyRange.upperBound(upper, upperOpen)
+  }
+  return null
+}
+
+/**
+ * Get the bounds of a key range option, which is an IDBKeyRange or an object with the same properties.
+ * @param {IDBKeyRange|Object} [range]
+ * @returns {{lower: *, upper: *, lowerOpen: Boolean, upperOpen: Boolean}|undefined}
+ */
+function getRangeBounds (range) {
+  if (range === undefined) {
+    return undefined
+  }
+  if (range === null || typeof range !== 'object') {
+    throw new Error('Option.range must be an IDBKeyRange or an object with lower and upper')
+  }
+  const { lower, upper, lowerOpen, upperOpen } = range
+  return { lower, upper, lowerOpen, upperOpen }
+}
+
+function isDescending (query) {
+  return query.direction === 'prev' || query.direction === 'prevunique'
+}
+
+/**
+ * Check if the cursor is at or before the position of the cursor a query continues from.
+ * @param {IDBCursor} cursor
+ * @param {ReadQuery} query
+ * @returns {Boolean}
+ */
+function isBeforeContinuation (cursor, query) {
+  if (!query.after || indexedDB.cmp(cursor.key, query.after.key) !== 0) {
+    return false
+  }
+  if (!query.index || query.direction === 'nextunique' || query.direction === 'prevunique') {
+    return true
+  }
+
+  const position = indexedDB.cmp(cursor.primaryKey, query.after.primaryKey)
+  return isDescending(query) ? position >= 0 : position <= 0
+}
+
+/**
+ * Read the next records of a query with their keys. Expired records are deleted and skipped.
+ * @param {IDBObjectStore} store
+ * @param {ReadQuery} query
+ * @param {Number} size Maximum number of records
+ * @returns {Promise<Array<{key: *, primaryKey: *, record: Object}>>}
+ */
+function readCursorBatch (store, query, size) {
   return new Promise((resolve, reject) => {
-    const req = store.index(options.index).get(options.nameValue)
-    req.onsuccess = event => {
-      const result = event.target.result
+    const entries = []
+    const source = query.index ? store.index(query.index) : store
+    const req = source.openCursor(createKeyRange(query), query.direction || 'next')
 
-      if (result) {
-        if (new Date().getTime() > result.expires) {
-          deleteMethod(result.id, { storeName, databaseName: options.database }, settings).then(_ => {
-            resolve(options.withMeta ? { data: null } : null)
-          }).catch(_ => {
-            resolve(options.withMeta ? { data: null } : null)
-          })
-        } else {
-          resolve(options.withMeta ? { data: result } : result)
-        }
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor || entries.length === size) {
+        return resolve(entries)
+      }
+      if (isBeforeContinuation(cursor, query)) {
+        return cursor.continue()
+      }
+      if (isExpired(cursor.value)) {
+        cursor.delete()
       } else {
-        resolve(options.withMeta ? { data: null } : null)
+        entries.push({ key: cursor.key, primaryKey: cursor.primaryKey, record: cursor.value })
       }
+      cursor.continue()
     }
+    req.onerror = () => reject(req.error)
+  })
+}
 
-    req.onerror = (err) => {
-      if (options.closeDatabase) {
-        DatabaseUtility.closeDB(options.database)
+function readDataByQuery (store, options) {
+  const query = options.query
+  const limit = query.limit === undefined ? Infinity : query.limit
+
+  return new Promise((resolve, reject) => {
+    const records = []
+    let skipped = 0
+    let last = null
+
+    const finish = next => {
+      const result = options.withMeta ? { data: records, cursor: next } : records
+      resolveResult(options, resolve, result)
+    }
+
+    let req
+    try {
+      const source = query.index ? store.index(query.index) : store
+      req = source.openCursor(createKeyRange(query), query.direction || 'next')
+    } catch (error) {
+      return rejectError(options, reject, error)
+    }
+
+    req.onsuccess = event => {
+      const cursor = event.target.result
+      if (!cursor) {
+        return finish(null)
+      }
+      if (isBeforeContinuation(cursor, query)) {
+        return cursor.continue()
+      }
+
+      const record = cursor.value
+      if (record.expires && new Date().getTime() > record.expires) {
+        cursor.delete()
+        return cursor.continue()
+      }
+      let matches = true
+      try {
+        matches = !query.filter || query.filter(record)
+      } catch (error) {
+        return rejectError(options, reject, error)
+      }
+      if (!matches) {
+        return cursor.continue()
+      }
+      // A further record matches, so the cursor of the last record continues the query
+      if (records.length === limit) {
+        return finish(last)
+      }
+      if (skipped < (query.offset || 0)) {
+        skipped++
+        return cursor.continue()
       }
-      reject(err)
+
+      records.push(record)
+      last = { key: cursor.key, primaryKey: cursor.primaryKey }
+      cursor.continue()
     }
+
+    req.onerror = () => rejectError(options, reject, req.error)
   })
 }
 
-function readDataByID (store, storeName, options, deleteMethod, settings) {
+/**
+ * Read the records matching the value of an index, which can be a multiEntry or compound index. Expired records are
+ * deleted and skipped. Without options.all only the first matching record is returned.
+ * @param {IDBObjectStore} store
+ * @param {Object} options
+ * @returns {Promise<Object|Array|null>}
+ */
+function readDataByIndexAndNameValue (store, options) {
   return new Promise((resolve, reject) => {
-    const req = store.get(options.id)
+    const records = []
+    const finish = () => {
+      const result = options.all ? records : records[0] || null
+      resolveResult(options, resolve, options.withMeta ? { data: result } : result)
+    }
+
+    let req
+    try {
+      req = store.index(options.index).openCursor(IDBKeyRange.only(options.nameValue))
+    } catch (error) {
+      return rejectError(options, reject, error)
+    }
+
     req.onsuccess = event => {
-      const result = event.target.result
+      const cursor = event.target.result
+      if (!cursor) {
+        return finish()
+      }
 
-      if (result) {
-        if (new Date().getTime() > result.expires) {
-          deleteMethod(result.id, {
-            storeName,
-            databaseName: options.database
-          }, settings)
-          resolve(options.withMeta ? { data: null } : null)
-        } else {
-          resolve(options.withMeta ? { data: result } : result)
-        }
+      if (cursor.value.expires && new Date().getTime() > cursor.value.expires) {
+        cursor.delete()
       } else {
-        resolve(options.withMeta ? { data: null } : null)
+        records.push(cursor.value)
+        if (!options.all) {
+          return finish()
+        }
       }
+      cursor.continue()
     }
 
-    req.onerror = (err) => {
-      if (options.closeDatabase) {
-        DatabaseUtility.closeDB(options.database)
+    req.onerror = () => rejectError(options, reject, req.error)
+  })
+}
+
+function readDataByID (store, options) {
+  return new Promise((resolve, reject) => {
+    const req = store.get(options.id)
+    req.onsuccess = event => {
+      const result = event.target.result
+
+      if (result && new Date().getTime() > result.expires) {
+        store.delete(options.id)
+        resolveResult(options, resolve, options.withMeta ? { data: null } : null)
+      } else {
+        resolveResult(options, resolve, options.withMeta ? { data: result || null } : result || null)
       }
-      reject(err)
     }
+
+    req.onerror = () => rejectError(options, reject, req.error)
   })
 }
-function readAllData (store, storeName, options, deleteMethod, settings) {
+function readAllData (store, storeName, options) {
   return new Promise((resolve, reject) => {
     const dataArr = []
 
@@ -494,7 +2063,7 @@ function readAllData (store, storeName, options, deleteMethod, settings) {
           dataArr.push(cursor.value)
         } else {
           if (new Date().getTime() > cursor.value.expires) {
-            deleteMethod(cursor.value.id, { storeName, databaseName: options.database }, settings)
+            cursor.delete()
           } else {
             dataArr.push(cursor.value)
           }
@@ -512,6 +2081,24 @@ function readAllData (store, storeName, options, deleteMethod, settings) {
   })
 }
 
+function validateOptionsKeyValue (options, settings) {
+  if (options.database && typeof options.database !== 'string') {
+    throw new Error('Option.database must be a string')
+  }
+  options.database = addNamespace(options.database || settings.INDEXEDDB_DATABASE, settings.NAMESPACE)
+  if (options.closeDatabase && typeof options.closeDatabase !== 'boolean') {
+    throw new Error('Option.closeDatabase must be a boolean')
+  }
+  if (typeof options.closeDatabase !== 'boolean') {
+    options.closeDatabase = settings.INDEXEDDB_CLOSE_AFTER_REQUEST
+  }
+  if (options.withMeta && typeof options.withMeta !== 'boolean') {
+    throw new Error('options.withMeta must be a boolean')
+  }
+
+  return options
+}
+
 function validateDeleteOptions (options, settings) {
   if (options.storeName && typeof options.storeName !== 'string') {
     throw new Error('Option.storeName must be a string')
@@ -527,9 +2114,7 @@ function validateDeleteOptions (options, settings) {
   if (options.database && typeof options.database !== 'string') {
     throw new Error('Option.database must be a string')
   }
-  if (!options.database) {
-    options.database = settings.INDEXEDDB_DATABASE
-  }
+  options.database = addNamespace(options.database || settings.INDEXEDDB_DATABASE, settings.NAMESPACE)
   if (options.closeDatabase && typeof options.closeDatabase !== 'boolean') {
     throw new Error('Option.closeDatabase must be a boolean')
   }
@@ -541,14 +2126,7 @@ function validateDeleteOptions (options, settings) {
 }
 
 function deleteDatabase (key) {
-  return new Promise((resolve, reject) => {
-    DatabaseUtility.closeDB(key)
-
-    const dbConnect = indexedDB.deleteDatabase(key)
-    dbConnect.onsuccess = resolve
-    dbConnect.onerror = reject
-    resolve(true)
-  })
+  return DatabaseUtility.deleteDB(key)
 }
 
 function deleteData (key, options) {
@@ -559,15 +2137,12 @@ function deleteData (key, options) {
     if (!options.storeName) {
       throw new Error('In order to delete data, Option.storeName is required')
     }
-    if (typeof key !== 'number') {
-      throw new Error('In order to delete data, key must be the id as number')
-    }
     DatabaseUtility.openDB(options.database, {}).then(_ => {
       DatabaseUtility.getStore(options.database, options.storeName).then(store => {
-        if (store) {
-          store.delete(key)
-          resolve(true)
-        }
+        // The requests of a transaction run in order, so the record is read before it is deleted
+        const current = store.get(key)
+        return requestResult(store.delete(key))
+          .then(_ => resolveResult(options, resolve, { key, before: toEnvelope(current.result), after: null }))
       }).catch(error => rejectError(options, reject, error))
     }).catch(error => rejectError(options, reject, error))
   })
@@ -578,28 +2153,100 @@ function deleteStore (key, options) {
     if (!options.database) {
       throw new Error('Option.database is required')
     }
-    DatabaseUtility.closeDB(key).then(_ => {
-      DatabaseUtility.openDB(options.database, {
-        onupgradeneeded: event => {
-          const db = event.target.result
+    DatabaseUtility.openDB(options.database, {}).then(db => {
+      if (!db.objectStoreNames.contains(key)) {
+        return resolveResult(options, resolve, true)
+      }
 
-          if (db.objectStoreNames.contains(key)) {
-            db.deleteObjectStore(key)
-          }
+      return DatabaseUtility.upgradeDB(options.database, event => {
+        if (event.target.result.objectStoreNames.contains(key)) {
+          event.target.result.deleteObjectStore(key)
         }
-      }).then(_ => {
-        if (options.closeDatabase) {
-          DatabaseUtility.closeDB(options.database)
-        }
-        resolve(true)
-      }).catch(error => rejectError(options, reject, error))
+      }).then(_ => resolveResult(options, resolve, true))
     }).catch(error => rejectError(options, reject, error))
   })
 }
 
+/**
+ * Check if a value can be used as key of a record.
+ * @param {*} key
+ * @returns {Boolean}
+ */
+function isValidKey (key) {
+  if (typeof key === 'number') {
+    return !Number.isNaN(key)
+  }
+  if (key instanceof Date) {
+    return !Number.isNaN(key.getTime())
+  }
+  if (Array.isArray(key)) {
+    return key.every(isValidKey)
+  }
+  return typeof key === 'string' || key instanceof ArrayBuffer || ArrayBuffer.isView(key)
+}
+
+/**
+ * Get the key of an object by a key path, e.g. 'id', 'author.name' or ['list', 'slug'].
+ * @param {Object} data
+ * @param {String|Array<String>|null} keyPath
+ * @returns {*} The key or undefined if the object doesn't contain it
+ */
+function getKeyFromPath (data, keyPath) {
+  if (keyPath === null) {
+    return undefined
+  }
+  if (Array.isArray(keyPath)) {
+    const key = keyPath.map(path => getKeyFromPath(data, path))
+    return key.includes(undefined) ? undefined : key
+  }
+  return keyPath.split('.').reduce((value, name) => value === null || value === undefined ? undefined : value[name], data)
+}
+
+/**
+ * Get every index of a store: the index 'id' for the key path 'id', the index 'expires' unless the indexes declare it
+ * themselves, and the indexes.
+ * @param {String|Array<String>|null} keyPath
+ * @param {Array} indexes
+ * @returns {Array}
+ */
+function getStoreIndexes (keyPath, indexes) {
+  const storeIndexes = indexes.some(index => index.indexName === EXPIRES_INDEX.indexName)
+    ? indexes
+    : [EXPIRES_INDEX, ...indexes]
+  if (keyPath !== 'id') {
+    return storeIndexes
+  }
+  return [{ indexName: 'id', indexKey: 'id', indexOptions: { unqiue: true, multiEntry: false } }, ...storeIndexes]
+}
+
+/**
+ * Get the key options of a new store from the write options.
+ * @param {Object} options
+ * @returns {{keyPath: String|Array<String>|null, autoIncrement: Boolean}}
+ */
+function getKeyOptions (options) {
+  const keyPath = options.keyPath === undefined ? 'id' : options.keyPath
+  const autoIncrement = options.autoIncrement === undefined ? keyPath === 'id' : options.autoIncrement
+  return { keyPath, autoIncrement }
+}
+
 function rejectError (options, reject, error) {
   if (options.closeDatabase) {
     DatabaseUtility.closeDB(options.database)
   }
   reject(error)
 }
+
+function requestResult (request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function resolveResult (options, resolve, result) {
+  if (options.closeDatabase) {
+    DatabaseUtility.closeDB(options.database)
+  }
+  resolve(result)
+}
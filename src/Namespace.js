@@ -0,0 +1,43 @@
+// Keys and namespaces can't contain the separator, so a namespace never overlaps with another one, e.g. 'shop' with
+// 'shop.admin'
+const SEPARATOR = '~'
+
+/**
+ * Method to prefix a key with the namespace
+ * @param {String} key
+ * @param {String} [namespace]
+ * @returns {String}
+ */
+export function addNamespace (key, namespace) {
+  return namespace ? namespace + SEPARATOR + key : key
+}
+
+/**
+ * Method to check whether a prefixed key belongs to the namespace
+ * @param {String} key
+ * @param {String} [namespace]
+ * @returns {Boolean}
+ */
+export function inNamespace (key, namespace) {
+  return !namespace || key.startsWith(namespace + SEPARATOR)
+}
+
+/**
+ * Method to get the namespace of a prefixed key
+ * @param {String} key
+ * @returns {String|null}
+ */
+export function getNamespace (key) {
+  const index = key.indexOf(SEPARATOR)
+  return index === -1 ? null : key.slice(0, index)
+}
+
+/**
+ * Method to remove the namespace from a prefixed key
+ * @param {String} key
+ * @param {String} [namespace]
+ * @returns {String}
+ */
+export function removeNamespace (key, namespace) {
+  return namespace && inNamespace(key, namespace) ? key.slice(namespace.length + SEPARATOR.length) : key
+}
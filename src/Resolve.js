@@ -0,0 +1,21 @@
+/**
+ * The adapters can work synchronously or return promises. These helpers keep synchronous results synchronous.
+ */
+
+/**
+ * @param {*} value
+ * @param {Function} callback
+ * @returns {*} The result of the callback, wrapped in a promise if the value is a promise
+ */
+export function whenResolved (value, callback) {
+  return value instanceof Promise ? value.then(callback) : callback(value)
+}
+
+/**
+ * @param {Array} values
+ * @param {Function} callback
+ * @returns {*} The result of the callback, wrapped in a promise if one of the values is a promise
+ */
+export function whenAllResolved (values, callback) {
+  return values.some(value => value instanceof Promise) ? Promise.all(values).then(callback) : callback(values)
+}
@@ -0,0 +1,196 @@
+import { MARKER as COMPRESSED_MARKER } from './Compression.js'
+import { MARKER as ENCRYPTED_MARKER } from './Encryption.js'
+
+const TAG = '__type'
+/**
+ * Reserved property of the encoded types. Objects with a tag but without the marker are data, e.g. of items which
+ * were written before the serializer existed.
+ */
+const MARKER = '__serializer'
+const VERSION = 1
+/**
+ * Properties which mark the values of the serializer, the compression and the encryption. Objects which contain them
+ * are wrapped, so they are read back as they were written.
+ */
+const RESERVED = [MARKER, COMPRESSED_MARKER, ENCRYPTED_MARKER]
+
+/**
+ * @typedef {Object} SerializerType
+ * @property {function(*): Boolean} test Check if a value is of this type
+ * @property {function(*, function(*): *): *} serialize Convert the value to JSON. The second argument serializes
+ * nested values.
+ * @property {function(*, function(*): *): *} deserialize Restore the value from the JSON. The second argument
+ * deserializes nested values.
+ */
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+  'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+]
+
+/**
+ * Types which are supported by every serializer
+ * @type {Array<Array<String, SerializerType>>}
+ */
+const BUILT_IN_TYPES = [
+  ['Date', {
+    test: value => value instanceof Date,
+    serialize: value => value.getTime(),
+    deserialize: value => new Date(value)
+  }],
+  ['Map', {
+    test: value => value instanceof Map,
+    serialize: (value, serialize) => Array.from(value, ([key, item]) => [serialize(key), serialize(item)]),
+    deserialize: (value, deserialize) => new Map(value.map(([key, item]) => [deserialize(key), deserialize(item)]))
+  }],
+  ['Set', {
+    test: value => value instanceof Set,
+    serialize: (value, serialize) => Array.from(value, serialize),
+    deserialize: (value, deserialize) => new Set(value.map(deserialize))
+  }],
+  ['BigInt', {
+    test: value => typeof value === 'bigint',
+    serialize: value => value.toString(),
+    deserialize: value => BigInt(value)
+  }],
+  ['ArrayBuffer', {
+    test: value => value instanceof ArrayBuffer,
+    serialize: value => Array.from(new Uint8Array(value)),
+    deserialize: value => new Uint8Array(value).buffer
+  }],
+  ...TYPED_ARRAYS.filter(name => typeof globalThis[name] === 'function').map(name => [name, {
+    test: value => value instanceof globalThis[name],
+    serialize: value => Array.from(value, item => typeof item === 'bigint' ? item.toString() : item),
+    deserialize: value => globalThis[name].from(value, item => name.startsWith('Big') ? BigInt(item) : item)
+  }])
+]
+
+/**
+ * Serializer which converts values to JSON compatible values and back. Types which JSON doesn't support are encoded
+ * as { __serializer: 1, __type: name, value }.
+ */
+export default class Serializer {
+  constructor () {
+    this._types = [...BUILT_IN_TYPES]
+  }
+
+  /**
+   * Register a type, e.g. for a class of your own. Types registered later are checked first.
+   * @param {String} name
+   * @param {SerializerType} type
+   */
+  register (name, type) {
+    if (typeof name !== 'string' || !name || name === 'Object') {
+      throw new Error('The type name must be a non-empty string other than "Object"')
+    }
+    if (!type || typeof type.test !== 'function' || typeof type.serialize !== 'function' ||
+      typeof type.deserialize !== 'function') {
+      throw new Error('The type "' + name + '" has to implement the methods test, serialize and deserialize')
+    }
+
+    this._types = [[name, type], ...this._types.filter(([typeName]) => typeName !== name)]
+  }
+
+  /**
+   * Convert a value to a value which can be converted to JSON without losing information.
+   * @param {*} value
+   * @returns {*}
+   */
+  serialize (value) {
+    const serialize = item => this.serialize(item)
+
+    const entry = this._types.find(([, type]) => type.test(value))
+    if (entry) {
+      return encodeType(entry[0], entry[1].serialize(value, serialize))
+    }
+    if (Array.isArray(value)) {
+      return value.map(serialize)
+    }
+    if (value !== null && typeof value === 'object') {
+      if (typeof value.toJSON === 'function') {
+        return serialize(value.toJSON())
+      }
+
+      const result = {}
+      Object.keys(value).forEach(key => {
+        result[key] = serialize(value[key])
+      })
+      return RESERVED.some(property => property in value) ? encodeType('Object', result) : result
+    }
+
+    return value
+  }
+
+  /**
+   * Restore a value converted by serialize.
+   * @param {*} value
+   * @returns {*}
+   */
+  deserialize (value) {
+    const deserialize = item => this.deserialize(item)
+
+    if (Array.isArray(value)) {
+      return value.map(deserialize)
+    }
+    // Only the values created by JSON.parse are restored, instances of classes are already deserialized
+    if (!isPlainObject(value)) {
+      return value
+    }
+
+    if (isEncodedType(value)) {
+      if (value[TAG] === 'Object') {
+        return deserializeProperties(value.value, deserialize)
+      }
+
+      const entry = this._types.find(([name]) => name === value[TAG])
+      if (entry) {
+        return entry[1].deserialize(value.value, deserialize)
+      }
+    }
+
+    return deserializeProperties(value, deserialize)
+  }
+}
+
+/**
+ * @param {String} name
+ * @param {*} value The serialized value
+ * @returns {Object}
+ */
+function encodeType (name, value) {
+  return { [MARKER]: VERSION, [TAG]: name, value }
+}
+
+/**
+ * @param {Object} value
+ * @returns {Boolean}
+ */
+function isEncodedType (value) {
+  return value[MARKER] === VERSION && typeof value[TAG] === 'string' && 'value' in value &&
+    Object.keys(value).length === 3
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isPlainObject (value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * @param {Object} value
+ * @param {function(*): *} deserialize
+ * @returns {Object}
+ */
+function deserializeProperties (value, deserialize) {
+  const result = {}
+  Object.keys(value).forEach(key => {
+    result[key] = deserialize(value[key])
+  })
+  return result
+}
@@ -0,0 +1,10 @@
+/**
+ * @enum {StorageType}
+ */
+export const StorageType = {
+  COOKIE: 'Cookie',
+  LOCAL_STORAGE: 'LocalStorage',
+  SESSION_STORAGE: 'SessionStorage',
+  INDEXEDDB: 'IndexedDB',
+  MEMORY: 'Memory'
+}
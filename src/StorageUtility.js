@@ -1,13 +1,24 @@
 import IndexedDbUtility from './IndexedDB.js'
+import { hasCookies, hasWebStorage, isWorker } from './Environment.js'
+import { InvalidKeyException, QuotaExceededException, StorageUnavailableException } from './Exceptions.js'
+import { addNamespace, inNamespace, removeNamespace } from './Namespace.js'
+import { StorageType } from './StorageType.js'
+import { isEnvelope, isExpired, parseEnvelope } from './Envelope.js'
+import ChangeNotifier from './ChangeNotifier.js'
+import { whenAllResolved, whenResolved } from './Resolve.js'
+import { decrypt, encrypt, isEncrypted, MARKER as ENCRYPTION_MARKER } from './Encryption.js'
+import Serializer from './Serializer.js'
+import { Codec, compressValue, decompressValue, isCompressed } from './Compression.js'
+
+export { StorageType }
 
 /**
- * @enum {StorageType}
+ * Order in which items are evicted if the quota of a storage is exceeded. Expired items are always evicted first.
+ * @enum {EvictionPolicy}
  */
-export const StorageType = {
-  COOKIE: 'Cookie',
-  LOCAL_STORAGE: 'LocalStorage',
-  SESSION_STORAGE: 'SessionStorage',
-  INDEXEDDB: 'IndexedDB'
+export const EvictionPolicy = {
+  LEAST_RECENTLY_USED: 'lru',
+  SOONEST_EXPIRING: 'expires'
 }
 
 /**
@@ -17,13 +28,60 @@ const DEFAULT = {
   STORAGE_TYPE: StorageType.LOCAL_STORAGE,
   LIFETIME: 86400000,
   WITH_META: false,
+  MEMORY_FALLBACK: false,
+  NAMESPACE: '',
+  AUTO_PURGE_INTERVAL: 0,
+  EVICTION_POLICY: null,
+  ON_EVICT: null,
+  ENCRYPTION_KEY: null,
+  SERIALIZER: null,
+  COMPRESS: false,
+
+  COOKIE_MAX_SIZE: 4096,
+  COOKIE_MAX_COUNT: 180,
 
   INDEXEDDB_ENABLE: false,
   INDEXEDDB_CLOSE_AFTER_REQUEST: true,
-  INDEXEDDB_DATABASE: 'default'
+  INDEXEDDB_DATABASE: 'default',
+  INDEXEDDB_SCHEMA: null,
+  INDEXEDDB_KEY_VALUE: false,
+  INDEXEDDB_KEY_VALUE_STORE: 'keyValue',
+  INDEXEDDB_ON_BLOCKED: null
 
 }
 
+/**
+ * @param {*} value
+ * @returns {*} The decompressed value, or the value itself if it wasn't compressed
+ */
+function decompress (value) {
+  return isCompressed(value) ? decompressValue(value) : value
+}
+
+/**
+ * Check if an IndexedDB adapter stores the keys as records of a key-value store instead of using them as store names.
+ * @param {StorageAdapter} adapter
+ * @param {Object} options
+ * @returns {Boolean}
+ */
+function isKeyValueAdapter (adapter, options) {
+  return typeof adapter.isKeyValue === 'function' && adapter.isKeyValue(options)
+}
+
+/**
+ * Run the migrations of a schema from the version of the data to the current version.
+ * @param {*} data
+ * @param {Number} version
+ * @param {{version: Number, migrations: Object}} schema
+ * @returns {* | Promise<*>}
+ */
+function migrateData (data, version, schema) {
+  if (version >= schema.version) {
+    return data
+  }
+  return whenResolved(schema.migrations[version + 1](data), migratedData => migrateData(migratedData, version + 1, schema))
+}
+
 /**
  * Method to test the key whether it matches the key requirements or not
  */
@@ -32,38 +90,136 @@ function isKeyValid (key) {
   return regex.test(key)
 }
 
-function matchKeyNotValid (key) {
-  const regex = /[^a-zA-Z0-9._-]+/g
-  return key.match(regex)
-}
+/**
+ * Contract every storage adapter has to fulfil. An adapter is either a class, which gets instantiated once per
+ * StorageUtility instance with its settings, or a plain object that is shared between all instances.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(String, Object): *} read Read the data stored under the key. If options.withMeta is true,
+ * the data is returned as { data, ...meta }.
+ * @property {function(String, *, Object): *} write Write the data under the key.
+ * @property {function(String, Object): *} has Check if the key exists.
+ * @property {function(String|Number, Object): *} delete Delete the key.
+ * @property {function(Object): *} [keys] List the keys of the items written by the library which are not expired.
+ * If options.withExpired is true, the keys of expired items are included.
+ * @property {function(Object): *} [clear] Remove every item written by the library.
+ * @property {function(Object): *} [purgeExpired] Remove the expired items and return their number. Without this method
+ * the expired items are found through keys().
+ * @property {function(String, Number, Function, Object): *} [migrate] Migrate every record stored under the key to the
+ * version, by passing the data and its version to the function. Without this method the item is read and written.
+ * @property {function(): Boolean} [isAvailable] Check if the storage can be used in the current environment.
+ * @property {Boolean} [handlesNamespace] If true, the keys are passed without the namespace and the adapter applies
+ * config.NAMESPACE itself.
+ */
 
-class InvalidKeyException extends Error {
-  constructor (key) {
-    super('The key "' + key + '" is invalid. Please remove the following characters: ' + matchKeyNotValid(key).join(','))
-    this.name = this.constructor.name
-  }
-}
+const ADAPTER_METHODS = ['read', 'write', 'has', 'delete']
 
 export default class StorageUtility {
+  static _adapters = {}
+  static _serializer = new Serializer()
+
+  /**
+   * Method to register a type for the default serializer, so that it is restored by read. Date, Map, Set, BigInt,
+   * ArrayBuffer and the typed arrays are supported without registration.
+   *
+   * @param {String} name Unique name of the type, which is stored with the value
+   * @param {SerializerType} type
+   */
+  static registerType (name, type) {
+    this._serializer.register(name, type)
+  }
+
+  /**
+   * Method to register a storage adapter. Afterwards the name can be used as storageType.
+   *
+   * @param {String} name
+   * @param {StorageAdapter | Function} adapter
+   */
+  static registerAdapter (name, adapter) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('The adapter name must be a non-empty string')
+    }
+    if (!adapter || (typeof adapter !== 'function' && typeof adapter !== 'object')) {
+      throw new Error('The adapter must be a class or an object')
+    }
+
+    const prototype = typeof adapter === 'function' ? adapter.prototype : adapter
+    const missingMethods = ADAPTER_METHODS.filter(method => typeof prototype[method] !== 'function')
+    if (missingMethods.length) {
+      throw new Error('The adapter "' + name + '" has to implement the following methods: ' + missingMethods.join(','))
+    }
+
+    this._adapters[name] = adapter
+  }
+
   /**
    * @param {Object} config
    * @param {StorageType} [config.STORAGE_TYPE]
    * @param {Number} [config.LIFETIME]
    * @param {Boolean} [config.WITH_META]
+   * @param {Boolean} [config.MEMORY_FALLBACK] Use the memory storage if the storage type is not available.
+   * @param {String} [config.NAMESPACE] Prefix for every key, to separate the keys of several apps.
+   * @param {Number} [config.AUTO_PURGE_INTERVAL] Interval in milliseconds to purge expired items. 0 disables it.
+   * @param {EvictionPolicy} [config.EVICTION_POLICY] Evict items if the quota of LocalStorage or SessionStorage is
+   * exceeded. Without a policy a QuotaExceededException is thrown.
+   * @param {function(Array<Object>, StorageType)} [config.ON_EVICT] Called with the evicted items ({ key, envelope })
+   * @param {CryptoKey|String} [config.ENCRYPTION_KEY] AES-GCM key or passphrase for the option encrypt
+   * @param {{serialize: Function, deserialize: Function}} [config.SERIALIZER] Converts the data to JSON compatible
+   * values and back. By default a Serializer with the types of StorageUtility.registerType is used.
+   * @param {Boolean} [config.COMPRESS] Compress the data of every write. Can be overwritten by options.compress.
+   * @param {Number} [config.COOKIE_MAX_SIZE] Maximum size of a cookie (name and value). Larger values are split into
+   * several cookies.
+   * @param {Number} [config.COOKIE_MAX_COUNT] Maximum number of cookies per domain
    *
    * @param {Boolean} [config.INDEXEDDB_ENABLE]
    * @param {Boolean} [config.INDEXEDDB_CLOSE_AFTER_REQUEST]
    * @param {String} [config.INDEXEDDB_DATABASE]
+   * @param {Object<String, Array<DatabaseSchemaVersion>>} [config.INDEXEDDB_SCHEMA] Stores and indexes of each database,
+   * declared in versions
+   * @param {Boolean} [config.INDEXEDDB_KEY_VALUE] Use IndexedDB like LocalStorage. Every key is stored as a record in
+   * the store config.INDEXEDDB_KEY_VALUE_STORE of config.INDEXEDDB_DATABASE.
+   * @param {String} [config.INDEXEDDB_KEY_VALUE_STORE]
+   * @param {function({database: String, oldVersion: Number, newVersion: Number|null})} [config.INDEXEDDB_ON_BLOCKED]
+   * Called when opening, upgrading or deleting a database of the namespace waits for connections in other tabs to be
+   * closed.
    */
   constructor (config = {}) {
     this._settings = Object.assign({}, DEFAULT, config)
+    this._adapterInstances = {}
+    this._serializer = this._settings.SERIALIZER || StorageUtility._serializer
+    if (typeof this._serializer.serialize !== 'function' || typeof this._serializer.deserialize !== 'function') {
+      throw new Error('config.SERIALIZER must implement the methods serialize and deserialize')
+    }
+    this._schemas = []
+    this._migrations = new Map()
+    this._notifier = new ChangeNotifier(this._settings, (value, storageType) => this._decodeValue(value, storageType))
 
-    this._localStorageUtility = new LocalStorageUtility(this._settings)
-    this._sessionStorageUtility = new SessionStorageUtility(this._settings)
-    this._cookieUtility = new CookieUtility(this._settings)
+    if (typeof this._settings.NAMESPACE !== 'string') {
+      throw new Error('config.NAMESPACE must be a string')
+    }
+    if (this._settings.NAMESPACE && !isKeyValid(this._settings.NAMESPACE)) {
+      throw new InvalidKeyException(this._settings.NAMESPACE)
+    }
 
     if (this._settings.INDEXEDDB_ENABLE || this._settings.STORAGE_TYPE === StorageType.INDEXEDDB) {
-      this._indexedDbUtility = new IndexedDbUtility(this._settings)
+      this._getAdapter(StorageType.INDEXEDDB)
+    }
+    if (typeof this._settings.AUTO_PURGE_INTERVAL !== 'number' || this._settings.AUTO_PURGE_INTERVAL < 0) {
+      throw new Error('config.AUTO_PURGE_INTERVAL must be a positive number')
+    }
+    if (this._settings.EVICTION_POLICY && !Object.values(EvictionPolicy).includes(this._settings.EVICTION_POLICY)) {
+      throw new Error('config.EVICTION_POLICY must be "' + Object.values(EvictionPolicy).join('" or "') + '"')
+    }
+    if (this._settings.ON_EVICT && typeof this._settings.ON_EVICT !== 'function') {
+      throw new Error('config.ON_EVICT must be a function')
+    }
+    ;['COOKIE_MAX_SIZE', 'COOKIE_MAX_COUNT'].forEach(name => {
+      if (!Number.isInteger(this._settings[name]) || this._settings[name] < 1) {
+        throw new Error('config.' + name + ' must be a positive integer')
+      }
+    })
+    if (this._settings.AUTO_PURGE_INTERVAL) {
+      this._startAutoPurge()
     }
   }
 
@@ -81,34 +237,23 @@ export default class StorageUtility {
    * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
    *
    * @param {Boolean} [options.withMeta] = false
+   * @returns {*} The data, or a promise if the storage works asynchronously or the data is encrypted
    */
   read (key, options = {}) {
-    if (typeof window === 'undefined') {
+    if (!this._resolveStorageType(options)) {
       return false
     }
     if (!isKeyValid(key)) {
       throw new InvalidKeyException(key)
     }
-    if (!options.storageType) {
-      options.storageType = this._settings.STORAGE_TYPE
-    }
 
-    switch (options.storageType) {
-      case StorageType.LOCAL_STORAGE:
-        return this._localStorageUtility.read(key, options)
-      case StorageType.SESSION_STORAGE:
-        return this._sessionStorageUtility.read(key, options)
-      case StorageType.COOKIE:
-        return this._cookieUtility.read(key, options)
-      case StorageType.INDEXEDDB:
-        return this._indexedDbUtility.read(key, options).then((data) => {
-          return data
-        }).catch((error) => {
-          throw error
-        })
-      default:
-        return null
+    const adapter = this._getAdapter(options.storageType)
+    const withMeta = this._withMeta(options)
+    const read = () => {
+      return this._decode(adapter.read(this._namespaceKey(key, adapter), options), withMeta, key, options.storageType)
     }
+    const schema = this._getSchema(key)
+    return schema ? whenResolved(this._migrateOnce(key, adapter, schema, options), read) : read()
   }
 
   /**
@@ -119,6 +264,8 @@ export default class StorageUtility {
    * @param {Object=} [options]
    * @param {StorageType=} [options.storageType]
    * @param {Date | Number} [options.expires]
+   * @param {Boolean} [options.encrypt] Encrypt the data with config.ENCRYPTION_KEY. write returns a promise then.
+   * @param {Boolean} [options.compress] Compress the data. Defaults to config.COMPRESS, ignored for IndexedDB.
    * @param {String=} [options.path] Only relevant if storageType is 'Cookie'.
    * @param {Number=} [options.maxAge] Only relevant if storageType is 'Cookie'.
    * @param {String=} [options.domain] Only relevant if storageType is 'Cookie'.
@@ -129,31 +276,30 @@ export default class StorageUtility {
    * @param {String} [options.database] Only relevant if storageType is 'IndexedDB'.
    * @param {Array} [options.indexes] Only relevant if storageType is 'IndexedDB' and for creating the store.
    * @param {Boolean} [options.update] Only relevant if storageType is 'IndexedDB'.
+   * @param {Boolean} [options.upsert] Only relevant if storageType is 'IndexedDB'.
+   * @param {Boolean} [options.patch] Only relevant if storageType is 'IndexedDB'.
    * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
    */
   write (key, data, options = {}) {
-    if (typeof window === 'undefined') {
+    if (!this._resolveStorageType(options)) {
       return false
     }
     if (!isKeyValid(key)) {
       throw new InvalidKeyException(key)
     }
-    if (!options.storageType) {
-      options.storageType = this._settings.STORAGE_TYPE
-    }
 
-    switch (options.storageType) {
-      case StorageType.LOCAL_STORAGE:
-        return this._localStorageUtility.write(key, data, options)
-      case StorageType.SESSION_STORAGE:
-        return this._sessionStorageUtility.write(key, data, options)
-      case StorageType.COOKIE:
-        return this._cookieUtility.write(key, data, options)
-      case StorageType.INDEXEDDB:
-        return this._indexedDbUtility.write(key, data, options)
-      default:
-        return false
+    const adapter = this._getAdapter(options.storageType)
+    const namespacedKey = this._namespaceKey(key, adapter)
+    const schema = this._getSchema(key)
+    if (schema) {
+      options = { ...options, version: schema.version }
     }
+    return whenResolved(this._encode(data, options), encodedData => {
+      if (options.storageType === StorageType.INDEXEDDB && !isKeyValueAdapter(adapter, options)) {
+        return this._trackRecordChange(namespacedKey, options, () => adapter.writeRecord(namespacedKey, encodedData, options))
+      }
+      return this._trackChange(namespacedKey, adapter, options, data, () => adapter.write(namespacedKey, encodedData, options))
+    })
   }
 
   /**
@@ -170,34 +316,22 @@ export default class StorageUtility {
    * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
    */
   has (key, options = {}) {
-    if (typeof window === 'undefined') {
+    if (!this._resolveStorageType(options)) {
       return false
     }
     if (!isKeyValid(key)) {
       throw new InvalidKeyException(key)
     }
-    if (!options.storageType) {
-      options.storageType = this._settings.STORAGE_TYPE
-    }
 
-    switch (options.storageType) {
-      case StorageType.LOCAL_STORAGE:
-        return this._localStorageUtility.has(key)
-      case StorageType.SESSION_STORAGE:
-        return this._sessionStorageUtility.has(key)
-      case StorageType.COOKIE:
-        return this._cookieUtility.has(key)
-      case StorageType.INDEXEDDB:
-        return this._indexedDbUtility.has(key, options)
-      default:
-        return false
-    }
+    const adapter = this._getAdapter(options.storageType)
+    return adapter.has(this._namespaceKey(key, adapter), options)
   }
 
   /**
    * Method to delete a key from a specified type of storage.
    *
-   * @param {String|Number} key
+   * @param {String|Number|Date|Array} key For IndexedDB the primary key of the record, or the name of the store or
+   * database
    * @param {Object=} [options]
    * @param {StorageType=} [options.storageType]
    *
@@ -207,146 +341,746 @@ export default class StorageUtility {
    * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
    */
   delete (key, options = {}) {
-    if (typeof window === 'undefined') {
+    if (!this._resolveStorageType(options)) {
       return false
     }
-    if (!isKeyValid(key)) {
-      throw new InvalidKeyException()
+    // The primary keys of IndexedDB records are validated by the adapter
+    const isRecordKey = options.storageType === StorageType.INDEXEDDB && options.storeName &&
+      (!options.type || options.type === 'data')
+    if (!isRecordKey && !isKeyValid(key)) {
+      throw new InvalidKeyException(key)
     }
-    if (!options.storageType) {
-      options.storageType = this._settings.STORAGE_TYPE
+
+    const adapter = this._getAdapter(options.storageType)
+    const namespacedKey = this._namespaceKey(key, adapter)
+    if (isRecordKey && !isKeyValueAdapter(adapter, options)) {
+      return this._trackRecordChange(options.storeName, options, () => adapter.deleteRecord(namespacedKey, options))
     }
-    switch (options.storageType) {
-      case StorageType.LOCAL_STORAGE:
-        return this._localStorageUtility.delete(key)
-      case StorageType.SESSION_STORAGE:
-        return this._sessionStorageUtility.delete(key)
-      case StorageType.COOKIE:
-        return this._cookieUtility.delete(key)
-      case StorageType.INDEXEDDB:
-        return this._indexedDbUtility.delete(key, options)
-      default:
-        return false
+    return this._trackChange(namespacedKey, adapter, options, null, () => adapter.delete(namespacedKey, options))
+  }
+
+  /**
+   * Method to subscribe to changes of a key. The callback is called for changes by write and delete, in this tab
+   * and in other tabs. For LocalStorage and SessionStorage other tabs are observed through the native storage event,
+   * for Cookie and IndexedDB through a BroadcastChannel.
+   *
+   * @param {String | RegExp} key The key, a pattern matching several keys or, for IndexedDB, the store name
+   * @param {function(Change)} callback Receives { key, oldValue, newValue, storageType, envelope, external }
+   * @returns {function()} Function to unsubscribe
+   */
+  subscribe (key, callback) {
+    if (!(key instanceof RegExp) && !isKeyValid(key)) {
+      throw new InvalidKeyException(key)
     }
+
+    return this._notifier.subscribe(key, callback)
   }
-}
 
-class LocalStorageUtility {
   /**
-   * @param {Object} config
+   * Method to register the current schema version of a key, or of every key matching a regular expression. The
+   * version is stored with every written item. Items with an older version are migrated step by step when they are
+   * read, or by migrateAll, and written back. For IndexedDB the key is the store name.
+   *
+   * @param {String|RegExp} key
+   * @param {Object} schema
+   * @param {Number} schema.version Current version. Items without a version have the version 1.
+   * @param {Object<Number, function(*): *>} [schema.migrations] Functions which migrate the data from the previous
+   * version to their version, e.g. { 2: data => ..., 3: data => ... }. They may return a promise.
    */
-  constructor (config) {
-    this._settings = config
+  registerSchema (key, schema) {
+    if (!(key instanceof RegExp) && !isKeyValid(key)) {
+      throw new InvalidKeyException(key)
+    }
+    if (!Number.isInteger(schema?.version) || schema.version < 1) {
+      throw new Error('schema.version must be a positive integer')
+    }
+
+    const migrations = schema.migrations || {}
+    for (let version = 2; version <= schema.version; version++) {
+      if (typeof migrations[version] !== 'function') {
+        throw new Error('schema.migrations must contain a function to migrate to version ' + version)
+      }
+    }
+
+    this._schemas = this._schemas.filter(registered => String(registered.key) !== String(key))
+    this._schemas.push({ key, version: schema.version, migrations })
   }
 
   /**
-   * Write a value to local storage.
-   * @param {String} key
-   * @param {*} data
+   * Method to migrate every item with a registered schema to its current version. Without a storageType every
+   * available storage type is migrated, IndexedDB only if it is enabled.
+   *
    * @param {Object=} [options]
-   * @param {Date | Number | null} options.expires
-   * @returns {Boolean}
+   * @param {StorageType=} [options.storageType]
+   *
+   * @param {String} [options.database] Only relevant if storageType is 'IndexedDB'. Every store is migrated.
+   * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
+   * @returns {Promise<Object<String, Number>>} Number of migrated items per storage type
    */
-  write (key, data, options) {
-    if (!options.expires) {
-      options.expires = new Date(Date.now() + this._settings.LIFETIME)
+  migrateAll (options = {}) {
+    const report = {}
+    return Promise.all(this._storageTypesFor(options, ['keys']).map(storageType => {
+      const typeOptions = { ...options, storageType }
+      if (!this._resolveStorageType(typeOptions)) {
+        report[storageType] = 0
+        return null
+      }
+
+      const adapter = this._getAdapterWith(typeOptions.storageType, 'keys')
+      return Promise.resolve(adapter.keys({ ...typeOptions })).then(keys => {
+        const counts = this._removeNamespace(keys, adapter).map(key => {
+          const schema = this._getSchema(key)
+          return schema ? this._migrate(key, adapter, schema, { ...typeOptions }) : 0
+        })
+        return Promise.all(counts)
+      }).then(counts => {
+        report[typeOptions.storageType] = (report[typeOptions.storageType] || 0) + counts.reduce((a, b) => a + b, 0)
+      })
+    })).then(_ => report)
+  }
+
+  /**
+   * Method to list the keys written by the library in a specified type of storage.
+   * Expired items and items outside the namespace are skipped.
+   *
+   * @param {Object=} [options]
+   * @param {StorageType=} [options.storageType]
+   *
+   * @param {String} [options.database] Only relevant if storageType is 'IndexedDB'. The keys are the store names.
+   * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
+   */
+  keys (options = {}) {
+    if (!this._resolveStorageType(options)) {
+      return false
     }
-    if (!(options.expires instanceof Date) && typeof options.expires !== 'number') {
-      throw new Error('Expires can only be a number or a date object')
+
+    const adapter = this._getAdapterWith(options.storageType, 'keys')
+    return whenResolved(adapter.keys(options), keys => this._removeNamespace(keys, adapter))
+  }
+
+  /**
+   * Method to list the keys written by the library in a specified type of storage with their data.
+   *
+   * @param {Object=} [options]
+   * @param {StorageType=} [options.storageType]
+   * @param {Boolean} [options.withMeta] = false
+   *
+   * @param {String} [options.database] Only relevant if storageType is 'IndexedDB'.
+   * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
+   * @returns {Array<Array> | Promise<Array<Array>>} List of [key, data] pairs
+   */
+  entries (options = {}) {
+    if (!this._resolveStorageType(options)) {
+      return false
     }
-    if (options.expires && typeof options.expires === 'number') {
-      options.expires = new Date(Date.now() + options.expires)
+
+    const adapter = this._getAdapterWith(options.storageType, 'keys')
+    return whenResolved(adapter.keys({ ...options }), keys => {
+      keys = this._removeNamespace(keys, adapter)
+      const withMeta = this._withMeta(options)
+      const values = keys.map(key => {
+        const item = adapter.read(this._namespaceKey(key, adapter), { ...options })
+        return this._decode(item, withMeta, key, options.storageType)
+      })
+
+      return whenAllResolved(values, values => keys.map((key, index) => [key, values[index]]))
+    })
+  }
+
+  /**
+   * Method to remove every item written by the library from a specified type of storage.
+   * If a namespace is configured, only the items in the namespace are removed.
+   *
+   * @param {Object=} [options]
+   * @param {StorageType=} [options.storageType]
+   *
+   * @param {String} [options.database] Only relevant if storageType is 'IndexedDB'. Every store is emptied.
+   * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
+   */
+  clear (options = {}) {
+    if (!this._resolveStorageType(options)) {
+      return false
     }
 
-    let createdAt = new Date().getTime()
-    const item = this.read(key, { withMeta: true })
-    if (item && 'createdAt' in item) {
-      createdAt = item.createdAt
+    const adapter = this._getAdapter(options.storageType)
+    if ((!this._settings.NAMESPACE || adapter.handlesNamespace) && typeof adapter.clear === 'function') {
+      return adapter.clear(options)
     }
 
-    window.localStorage.setItem(key,
-      JSON.stringify({
-        data, expires: options.expires.getTime(), createdAt, updatedAt: new Date().getTime()
-      }))
+    const keys = this._getAdapterWith(options.storageType, 'keys').keys({ ...options, withExpired: true })
+    return whenResolved(keys, keys => {
+      const results = this._removeNamespace(keys, adapter)
+        .map(key => adapter.delete(this._namespaceKey(key, adapter), { ...options }))
 
-    return true
+      return whenAllResolved(results, _ => true)
+    })
   }
 
   /**
-   * Read a value from local storage.
-   * @param {String} key
+   * Method to remove the expired items. Without a storageType every available storage type is purged, IndexedDB only
+   * if it is enabled. For IndexedDB the expired records of every store of the database are deleted in one transaction.
+   *
    * @param {Object=} [options]
-   * @param { Boolean= } [options.withMeta] = false
+   * @param {StorageType=} [options.storageType]
+   *
+   * @param {String} [options.database] Only relevant if storageType is 'IndexedDB'.
+   * @param {String} [options.storeName] Only relevant if storageType is 'IndexedDB'. Only purge this store.
+   * @param {Boolean} [options.closeDatabase] Only relevant if storageType is 'IndexedDB'.
+   * @returns {Promise<Object<String, Number>>} Number of removed items per storage type
    */
-  read (key, options = { withMeta: this._settings.WITH_META }) {
-    if (options.withMeta && typeof options.withMeta !== 'boolean') {
-      throw new Error('options.withMeta must be a boolean')
+  purgeExpired (options = {}) {
+    const report = {}
+    return Promise.all(this._storageTypesFor(options, ['purgeExpired', 'keys']).map(storageType => {
+      const typeOptions = { ...options, storageType }
+      if (!this._resolveStorageType(typeOptions)) {
+        report[storageType] = 0
+        return null
+      }
+
+      return Promise.resolve(this._purgeExpired(typeOptions)).then(count => {
+        report[typeOptions.storageType] = (report[typeOptions.storageType] || 0) + count
+      })
+    })).then(_ => report)
+  }
+
+  /**
+   * Method to run several IndexedDB operations atomically. The callback gets an object with the methods read, write,
+   * update and delete, which work on the given stores of the database. If the callback throws or an operation fails,
+   * every change is rolled back.
+   *
+   * @param {String} database Name of the database. Defaults to config.INDEXEDDB_DATABASE if it is empty.
+   * @param {String|Array<String>} storeNames
+   * @param {function(Object): *} callback
+   * @param {Object} [options]
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<*>} The result of the callback
+   */
+  transaction (database, storeNames, callback, options = {}) {
+    return this._getAdapterWith(StorageType.INDEXEDDB, 'transaction').transaction(database, storeNames, callback, options)
+  }
+
+  /**
+   * Method to iterate lazily over the records of an IndexedDB store with for await. Expired records are skipped. The
+   * iterator has the methods update(data, options) and delete(), which change the current record.
+   *
+   * @param {String} storeName
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {String} [options.index]
+   * @param {IDBKeyRange|Object} [options.range] An IDBKeyRange or { lower, upper, lowerOpen, upperOpen }
+   * @param {'next'|'prev'|'nextunique'|'prevunique'} [options.direction]
+   * @param {Number} [options.batchSize] = 100
+   * @returns {AsyncIterable<*>}
+   */
+  iterate (storeName, options = {}) {
+    return this._getAdapterWith(StorageType.INDEXEDDB, 'iterate').iterate(storeName, options)
+  }
+
+  /**
+   * Method to count the records of an IndexedDB store, or of a range of its primary key or an index.
+   *
+   * @param {String} storeName
+   * @param {Object} [options]
+   * @param {String} [options.database]
+   * @param {String} [options.index]
+   * @param {IDBKeyRange|Object} [options.range] An IDBKeyRange or { lower, upper, lowerOpen, upperOpen }
+   * @returns {Promise<Number>}
+   */
+  count (storeName, options = {}) {
+    return this._getAdapterWith(StorageType.INDEXEDDB, 'count').count(storeName, options)
+  }
+
+  /**
+   * Method to list the IndexedDB databases of the namespace.
+   *
+   * @returns {Promise<Array<{name: String, version: Number}>>}
+   */
+  databases () {
+    return this._getAdapterWith(StorageType.INDEXEDDB, 'databases').databases()
+  }
+
+  /**
+   * Method to describe the stores of an IndexedDB database with their key path, indexes and number of records.
+   *
+   * @param {String} [database] Defaults to config.INDEXEDDB_DATABASE
+   * @param {Object} [options]
+   * @param {Boolean} [options.closeDatabase]
+   * @returns {Promise<DatabaseDescription|null>} null if the database doesn't exist
+   */
+  describeDatabase (database, options = {}) {
+    return this._getAdapterWith(StorageType.INDEXEDDB, 'describeDatabase').describeDatabase(database, options)
+  }
+
+  /**
+   * Method to stop purging the expired items on a schedule.
+   */
+  stopAutoPurge () {
+    clearInterval(this._autoPurgeTimer)
+    this._autoPurgeTimer = null
+  }
+
+  /**
+   * The storage types a bulk operation runs on: options.storageType, or every available storage type whose adapter
+   * implements one of the methods. IndexedDB is only included if it is enabled.
+   * @private
+   * @param {Object} options
+   * @param {Array<String>} methods
+   * @returns {Array<String>}
+   */
+  _storageTypesFor (options, methods) {
+    if (options.storageType) {
+      return [options.storageType]
     }
-    if (typeof options.withMeta !== 'boolean') {
-      options.withMeta = this._settings.WITH_META
+
+    return Object.keys(StorageUtility._adapters).filter(storageType => {
+      const adapter = this._getAdapter(storageType)
+      if (storageType === StorageType.INDEXEDDB && !this._settings.INDEXEDDB_ENABLE &&
+        this._settings.STORAGE_TYPE !== StorageType.INDEXEDDB) {
+        return false
+      }
+      return methods.some(method => typeof adapter[method] === 'function') &&
+        (typeof adapter.isAvailable !== 'function' || adapter.isAvailable())
+    })
+  }
+
+  /**
+   * @private
+   * @param {String} key
+   * @returns {{key: String|RegExp, version: Number, migrations: Object}|undefined}
+   */
+  _getSchema (key) {
+    return this._schemas.find(schema => {
+      if (schema.key instanceof RegExp) {
+        schema.key.lastIndex = 0
+        return schema.key.test(key)
+      }
+      return schema.key === key
+    })
+  }
+
+  /**
+   * Migrate the item or store before its first read. Afterwards the written items already have the current version,
+   * so further reads don't check it again. migrateAll migrates everything.
+   * @private
+   * @param {String} key Key without namespace
+   * @param {StorageAdapter} adapter
+   * @param {Object} schema
+   * @param {Object} options
+   * @returns {Number | Promise<Number>} Number of migrated items
+   */
+  _migrateOnce (key, adapter, schema, options) {
+    const database = options.storageType === StorageType.INDEXEDDB
+      ? addNamespace(options.database || this._settings.INDEXEDDB_DATABASE, this._settings.NAMESPACE)
+      : null
+    const id = JSON.stringify([options.storageType, database, isKeyValueAdapter(adapter, options), key, schema.version])
+    if (this._migrations.has(id)) {
+      return this._migrations.get(id)
     }
 
-    const item = window.localStorage.getItem(key)
-    if (!item) {
-      return options.withMeta ? { data: null } : null
+    const result = this._migrate(key, adapter, schema, options)
+    this._migrations.set(id, result)
+    if (result instanceof Promise) {
+      // Reads which start during the migration wait for it. A failed migration is tried again by the next read.
+      result.then(count => this._migrations.set(id, count), _ => this._migrations.delete(id))
     }
+    return result
+  }
 
-    let obj = null
-    try {
-      obj = JSON.parse(item)
-    } catch (e) {
-      console.info("ScStorage read an invalid item from the key '" + key + "' in local storage. Please delete it.")
-      return options.withMeta ? { data: item } : item
+  /**
+   * Migrate the item, or for IndexedDB every record of the store, to the version of the schema and write it back.
+   * The migrated data keeps its expiry date, encryption and compression.
+   * @private
+   * @param {String} key Key without namespace
+   * @param {StorageAdapter} adapter
+   * @param {Object} schema
+   * @param {Object} options
+   * @returns {Number | Promise<Number>} Number of migrated items
+   */
+  _migrate (key, adapter, schema, options) {
+    const storageType = options.storageType
+    const namespacedKey = this._namespaceKey(key, adapter)
+    const migrate = (data, version) => {
+      return whenResolved(this._decodeValue(data, storageType, key), decodedData => {
+        return whenResolved(migrateData(decodedData, version, schema), migratedData => this._encode(migratedData, {
+          storageType, encrypt: isEncrypted(data), compress: isEncrypted(data) ? undefined : isCompressed(data)
+        }))
+      })
     }
 
-    if (!('expires' in obj) || !('data' in obj)) {
-      console.info("ScStorage read an invalid item from the key '" + key + "' in local storage. Please delete it.")
-      return options.withMeta ? { data: obj } : obj
+    if (typeof adapter.migrate === 'function') {
+      return adapter.migrate(namespacedKey, schema.version, migrate, { ...options })
     }
 
-    if (new Date().getTime() > obj.expires) {
-      this.delete(key)
-      return options.withMeta ? { data: null } : null
+    return whenResolved(adapter.read(namespacedKey, { ...options, withMeta: true }), envelope => {
+      if (!isEnvelope(envelope) || envelope.data === null || (envelope.version || 1) >= schema.version) {
+        return 0
+      }
+
+      return whenResolved(migrate(envelope.data, envelope.version || 1), data => {
+        const writeOptions = { ...options, expires: new Date(envelope.expires), version: schema.version }
+        return whenResolved(adapter.write(namespacedKey, data, writeOptions), _ => 1)
+      })
+    })
+  }
+
+  /**
+   * @private
+   * @param {Object} options
+   * @returns {Number | Promise<Number>} Number of removed items
+   */
+  _purgeExpired (options) {
+    const adapter = this._getAdapter(options.storageType)
+    if (typeof adapter.purgeExpired === 'function') {
+      return adapter.purgeExpired(options)
     }
 
-    return options.withMeta ? obj : obj.data
+    this._getAdapterWith(options.storageType, 'keys')
+    return whenResolved(adapter.keys({ ...options, withExpired: true }), allKeys => {
+      return whenResolved(adapter.keys({ ...options }), keys => {
+        const expiredKeys = this._removeNamespace(allKeys.filter(key => !keys.includes(key)), adapter)
+        const results = expiredKeys.map(key => adapter.delete(this._namespaceKey(key, adapter), { ...options }))
+
+        return whenAllResolved(results, _ => expiredKeys.length)
+      })
+    })
   }
 
   /**
-   * Check if a key exists in local storage.
-   * @param {String} key
-   * @returns {boolean}
+   * Purge the expired items when the page is loaded and afterwards in the configured interval.
+   * @private
    */
-  has (key) {
-    return this.read(key) !== null
+  _startAutoPurge () {
+    const purge = () => Promise.resolve().then(_ => this.purgeExpired()).catch(error => {
+      console.info('ScStorage could not purge the expired items.', error)
+    })
+
+    if (globalThis.document && globalThis.document.readyState !== 'complete' &&
+      typeof globalThis.addEventListener === 'function') {
+      globalThis.addEventListener('load', purge, { once: true })
+    } else {
+      purge()
+    }
+
+    this._autoPurgeTimer = setInterval(purge, this._settings.AUTO_PURGE_INTERVAL)
+    // Don't keep Node.js processes alive because of the timer
+    if (typeof this._autoPurgeTimer?.unref === 'function') {
+      this._autoPurgeTimer.unref()
+    }
   }
 
   /**
-   * Delete a value from local storage.
-   * @param {String} key
-   * @returns {boolean}
+   * Run a write or delete of an IndexedDB record and notify the subscriptions of its store. The adapter reads the
+   * record before and after the change in the transaction of the change, so no further requests are needed.
+   * @private
+   * @param {String} storeName Store name with namespace
+   * @param {Object} options
+   * @param {function(): Promise<RecordChange>} change
+   * @returns {Promise<Boolean>}
    */
-  delete (key) {
-    window.localStorage.removeItem(key)
+  _trackRecordChange (storeName, options, change) {
+    const storageType = options.storageType
+    const database = addNamespace(options.database || this._settings.INDEXEDDB_DATABASE, this._settings.NAMESPACE)
+
+    return change().then(({ key, before, after }) => {
+      if (!ChangeNotifier.isObserved({ key: storeName, storageType, database })) {
+        return true
+      }
+
+      // A record which can't be decrypted doesn't prevent the change
+      const decode = record => {
+        const decoded = record && this._decode(record, true, storeName, storageType)
+        return decoded instanceof Promise ? decoded.catch(_ => null) : decoded
+      }
+      return whenAllResolved([decode(before), decode(after)], ([before, after]) => {
+        ChangeNotifier.notify({
+          key: storeName,
+          recordKey: key,
+          storageType,
+          database,
+          oldValue: before?.data ?? null,
+          newValue: after?.data ?? null,
+          envelope: after
+        })
+        return true
+      })
+    })
+  }
 
-    return true
+  /**
+   * Run a write or delete and notify the subscriptions about the change. The old and new value are only read if
+   * somebody observes the key. Deleted IndexedDB stores and databases have no old value.
+   * @private
+   * @param {String|Number} key Key with namespace
+   * @param {StorageAdapter} adapter
+   * @param {Object} options
+   * @param {*} value The written data or null for a deletion
+   * @param {function(): *} change
+   * @returns {*} The result of the change
+   */
+  _trackChange (key, adapter, options, value, change) {
+    const storageType = options.storageType
+    const database = storageType === StorageType.INDEXEDDB
+      ? addNamespace(options.database || this._settings.INDEXEDDB_DATABASE, this._settings.NAMESPACE)
+      : undefined
+
+    if (storageType === StorageType.INDEXEDDB && !isKeyValueAdapter(adapter, options)) {
+      const indexedDbChange = { key, storageType, database, oldValue: null, newValue: value, envelope: null }
+      if (!ChangeNotifier.isObserved(indexedDbChange)) {
+        return change()
+      }
+
+      return whenResolved(change(), result => {
+        ChangeNotifier.notify(indexedDbChange)
+        return result
+      })
+    }
+
+    if (!ChangeNotifier.isObserved({ key, storageType, database })) {
+      return change()
+    }
+
+    // An item which can't be decrypted doesn't prevent the change
+    const readCurrent = () => {
+      const item = this._decode(adapter.read(key, { ...options, withMeta: true }), true, key, storageType)
+      return item instanceof Promise ? item.catch(_ => ({ data: null })) : item
+    }
+
+    return whenResolved(readCurrent(), before => {
+      return whenResolved(change(), result => {
+        if (result === false) {
+          return result
+        }
+
+        return whenResolved(readCurrent(), after => {
+          ChangeNotifier.notify({
+            key,
+            storageType,
+            database,
+            oldValue: before?.data ?? null,
+            newValue: after?.data ?? null,
+            envelope: isEnvelope(after) ? after : null
+          })
+          return result
+        })
+      })
+    })
+  }
+
+  /**
+   * Serialize the data, compress it if options.compress is set and encrypt it if options.encrypt is set. IndexedDB
+   * stores the data as it is, because it supports the types of the serializer natively. Encrypted IndexedDB records
+   * keep their id unencrypted. Unencrypted IndexedDB data can't contain objects which look encrypted.
+   * @private
+   * @param {*} data
+   * @param {Object} options
+   * @returns {* | Promise<*>}
+   */
+  _encode (data, options) {
+    if (options.encrypt && !this._settings.ENCRYPTION_KEY) {
+      throw new Error('config.ENCRYPTION_KEY is required to encrypt data')
+    }
+    if (options.storageType === StorageType.INDEXEDDB) {
+      if (!options.encrypt) {
+        // IndexedDB doesn't serialize the data, so an object with the marker would be read as an encrypted one
+        if (isEncrypted(data) || (Array.isArray(data) && data.some(isEncrypted))) {
+          throw new Error(`The property ${ENCRYPTION_MARKER} is reserved for encrypted data`)
+        }
+        return data
+      }
+      if (options.patch) {
+        throw new Error('Encrypted records can not be patched')
+      }
+      if (data !== null && typeof data === 'object' && 'id' in data) {
+        const { id, ...record } = data
+        return encrypt(this._serializer.serialize(record), this._settings.ENCRYPTION_KEY)
+          .then(encrypted => ({ id, ...encrypted }))
+      }
+    }
+
+    let serializedData = this._serializer.serialize(data)
+    if (this._compress(options)) {
+      serializedData = compressValue(serializedData, options.storageType === StorageType.COOKIE ? Codec.URI : Codec.UTF16)
+    }
+    return options.encrypt ? encrypt(serializedData, this._settings.ENCRYPTION_KEY) : serializedData
+  }
+
+  /**
+   * @private
+   * @param {Object} options
+   * @returns {Boolean}
+   */
+  _compress (options) {
+    if (options.storageType === StorageType.INDEXEDDB) {
+      return false
+    }
+    return typeof options.compress === 'boolean' ? options.compress : this._settings.COMPRESS
+  }
+
+  /**
+   * Decrypt and deserialize the result of a read.
+   * @private
+   * @param {*} result
+   * @param {Boolean} withMeta
+   * @param {String|Number} key
+   * @param {StorageType} storageType
+   * @returns {* | Promise<*>}
+   */
+  _decode (result, withMeta, key, storageType) {
+    return whenResolved(result, result => {
+      if (withMeta && result !== null && typeof result === 'object' && 'data' in result) {
+        return whenResolved(this._decodeValue(result.data, storageType, key), data => ({ ...result, data }))
+      }
+      return this._decodeValue(result, storageType, key)
+    })
+  }
+
+  /**
+   * @private
+   * @param {*} value
+   * @param {StorageType} storageType
+   * @param {String|Number} [key]
+   * @returns {* | Promise<*>}
+   */
+  _decodeValue (value, storageType, key) {
+    if (Array.isArray(value) && value.some(isEncrypted)) {
+      return Promise.all(value.map(item => this._decodeValue(item, storageType, key)))
+    }
+    if (isEncrypted(value)) {
+      return decrypt(value, this._settings.ENCRYPTION_KEY, key).then(data => this._serializer.deserialize(decompress(data)))
+    }
+    return storageType === StorageType.INDEXEDDB ? value : this._serializer.deserialize(decompress(value))
+  }
+
+  /**
+   * @private
+   * @param {Object} options
+   * @returns {Boolean}
+   */
+  _withMeta (options) {
+    return typeof options.withMeta === 'boolean' ? options.withMeta : this._settings.WITH_META
+  }
+
+  /**
+   * Set options.storageType to the storage which should be used for the request. Returns false if there is none.
+   * Inside a worker an unavailable storage throws a StorageUnavailableException instead.
+   * @private
+   * @param {Object} options
+   * @returns {Boolean}
+   */
+  _resolveStorageType (options) {
+    if (!options.storageType) {
+      options.storageType = this._settings.STORAGE_TYPE
+    }
+
+    const adapter = this._getAdapter(options.storageType)
+    if (typeof adapter.isAvailable !== 'function' || adapter.isAvailable()) {
+      return true
+    }
+    if (this._settings.MEMORY_FALLBACK) {
+      options.storageType = StorageType.MEMORY
+      return true
+    }
+    if (isWorker()) {
+      throw new StorageUnavailableException(options.storageType)
+    }
+
+    return false
+  }
+
+  /**
+   * @private
+   * @param {String|Number} key
+   * @param {StorageAdapter} adapter
+   * @returns {String|Number}
+   */
+  _namespaceKey (key, adapter) {
+    return adapter.handlesNamespace ? key : addNamespace(key, this._settings.NAMESPACE)
+  }
+
+  /**
+   * Remove the keys outside the namespace and strip the namespace from the others.
+   * @private
+   * @param {Array<String>} keys
+   * @param {StorageAdapter} adapter
+   * @returns {Array<String>}
+   */
+  _removeNamespace (keys, adapter) {
+    if (adapter.handlesNamespace) {
+      return keys
+    }
+    return keys.filter(key => inNamespace(key, this._settings.NAMESPACE))
+      .map(key => removeNamespace(key, this._settings.NAMESPACE))
+  }
+
+  /**
+   * Get the adapter and make sure it implements an optional method.
+   * @private
+   * @param {String} storageType
+   * @param {String} method
+   * @returns {StorageAdapter}
+   */
+  _getAdapterWith (storageType, method) {
+    const adapter = this._getAdapter(storageType)
+    if (typeof adapter[method] !== 'function') {
+      throw new Error('The adapter "' + storageType + '" does not support ' + method + '()')
+    }
+
+    return adapter
+  }
+
+  /**
+   * @private
+   * @param {String} storageType
+   * @returns {StorageAdapter}
+   */
+  _getAdapter (storageType) {
+    if (!this._adapterInstances[storageType]) {
+      const Adapter = StorageUtility._adapters[storageType]
+      if (!Adapter) {
+        throw new Error('There is no adapter registered for the storage type "' + storageType + '"')
+      }
+      this._adapterInstances[storageType] = typeof Adapter === 'function' ? new Adapter(this._settings) : Adapter
+    }
+
+    return this._adapterInstances[storageType]
   }
 }
 
-class SessionStorageUtility {
+class WebStorageUtility {
   /**
    * @param {Object} config
+   * @param {String} storageName Name of the storage used in log messages
+   * @param {StorageType} storageType
    */
-  constructor (config) {
+  constructor (config, storageName, storageType) {
     this._settings = config
+    this._storageName = storageName
+    this._storageType = storageType
+  }
+
+  /**
+   * Get the Storage object the data is written to.
+   * @returns {Storage}
+   */
+  _getStorage () {
+    throw new Error('_getStorage has to be implemented')
   }
 
   /**
-   * Write a value to session storage.
+   * Check if the storage is available in the current environment.
+   * @returns {Boolean}
+   */
+  isAvailable () {
+    return true
+  }
+
+  /**
+   * Write a value to the storage.
    * @param {String} key
    * @param {*} data
    * @param {Object=} [options]
    * @param {Date | Number | null} options.expires
+   * @param {Number} [options.version] Schema version of the data
    * @returns {Boolean}
    */
   write (key, data, options) {
@@ -366,16 +1100,82 @@ class SessionStorageUtility {
       createdAt = item.createdAt
     }
 
-    window.sessionStorage.setItem(key,
+    this._setItem(key,
       JSON.stringify({
-        data, expires: options.expires.getTime(), createdAt, updatedAt: new Date().getTime()
+        data, expires: options.expires.getTime(), createdAt, updatedAt: new Date().getTime(), version: options.version
       }))
 
     return true
   }
 
   /**
-   * Read a value from session storage.
+   * Set an item. If the quota is exceeded, items are evicted according to config.EVICTION_POLICY until the item fits.
+   * @param {String} key
+   * @param {String} item
+   */
+  _setItem (key, item) {
+    const storage = this._getStorage()
+    const evicted = []
+    let candidates = null
+    let written = false
+
+    try {
+      while (!written) {
+        try {
+          storage.setItem(key, item)
+          written = true
+        } catch (error) {
+          if (!isQuotaExceededError(error)) {
+            throw error
+          }
+          if (candidates === null) {
+            candidates = this._evictionCandidates(key)
+          }
+          if (!candidates.length) {
+            throw new QuotaExceededException(this._storageType, removeNamespace(key, this._settings.NAMESPACE), error)
+          }
+
+          const candidate = candidates.shift()
+          storage.removeItem(candidate.key)
+          evicted.push({ key: removeNamespace(candidate.key, this._settings.NAMESPACE), envelope: candidate.envelope })
+        }
+      }
+    } finally {
+      if (evicted.length && this._settings.ON_EVICT) {
+        this._settings.ON_EVICT(evicted, this._storageType)
+      }
+    }
+  }
+
+  /**
+   * Get the items of the namespace which can be evicted, in the order of config.EVICTION_POLICY.
+   * @param {String} key The key which is written and must not be evicted
+   * @returns {Array<Object>}
+   */
+  _evictionCandidates (key) {
+    if (!this._settings.EVICTION_POLICY) {
+      return []
+    }
+
+    const storage = this._getStorage()
+    const lastUsed = envelope => envelope.updatedAt || envelope.createdAt || 0
+
+    return this.keys({ withExpired: true })
+      .filter(candidate => candidate !== key && inNamespace(candidate, this._settings.NAMESPACE))
+      .map(candidate => ({ key: candidate, envelope: parseEnvelope(storage.getItem(candidate)) }))
+      .sort((a, b) => {
+        if (isExpired(a.envelope) !== isExpired(b.envelope)) {
+          return isExpired(a.envelope) ? -1 : 1
+        }
+        if (this._settings.EVICTION_POLICY === EvictionPolicy.SOONEST_EXPIRING) {
+          return a.envelope.expires - b.envelope.expires
+        }
+        return lastUsed(a.envelope) - lastUsed(b.envelope)
+      })
+  }
+
+  /**
+   * Read a value from the storage.
    * @param {String} key
    * @param {Object=} [options]
    * @param { Boolean= } [options.withMeta] = false
@@ -388,7 +1188,7 @@ class SessionStorageUtility {
       options.withMeta = this._settings.WITH_META
     }
 
-    const item = window.sessionStorage.getItem(key)
+    const item = this._getStorage().getItem(key)
     if (!item) {
       return options.withMeta ? { data: null } : null
     }
@@ -397,12 +1197,12 @@ class SessionStorageUtility {
     try {
       obj = JSON.parse(item)
     } catch (e) {
-      console.info("ScStorage read an invalid item from the key '" + key + "' in session storage. Please delete it.")
+      console.info("ScStorage read an invalid item from the key '" + key + "' in " + this._storageName + '. Please delete it.')
       return options.withMeta ? { data: item } : item
     }
 
     if (!('expires' in obj) || !('data' in obj)) {
-      console.info("ScStorage read an invalid item from the key '" + key + "' in session storage. Please delete it.")
+      console.info("ScStorage read an invalid item from the key '" + key + "' in " + this._storageName + '. Please delete it.')
       return options.withMeta ? { data: obj } : obj
     }
 
@@ -415,7 +1215,7 @@ class SessionStorageUtility {
   }
 
   /**
-   * Check if a key exists in session storage.
+   * Check if a key exists in the storage.
    * @param {String} key
    * @returns {boolean}
    */
@@ -424,16 +1224,128 @@ class SessionStorageUtility {
   }
 
   /**
-   * Delete a value from session storage.
+   * Delete a value from the storage.
    * @param {String} key
    * @returns {boolean}
    */
   delete (key) {
-    window.sessionStorage.removeItem(key)
+    this._getStorage().removeItem(key)
+    return true
+  }
+
+  /**
+   * List the keys of the items written by the library.
+   * @param {Object=} [options]
+   * @param {Boolean=} [options.withExpired] = false
+   * @returns {Array<String>}
+   */
+  keys (options = {}) {
+    const storage = this._getStorage()
+    const keys = []
+
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i)
+      const envelope = parseEnvelope(storage.getItem(key))
+      if (envelope && (options.withExpired || !isExpired(envelope))) {
+        keys.push(key)
+      }
+    }
+
+    return keys
+  }
+
+  /**
+   * Remove every item written by the library.
+   * @returns {boolean}
+   */
+  clear () {
+    this.keys({ withExpired: true }).forEach(key => this.delete(key))
     return true
   }
 }
 
+class LocalStorageUtility extends WebStorageUtility {
+  /**
+   * @param {Object} config
+   */
+  constructor (config) {
+    super(config, 'local storage', StorageType.LOCAL_STORAGE)
+  }
+
+  _getStorage () {
+    return globalThis.localStorage
+  }
+
+  isAvailable () {
+    return hasWebStorage('localStorage')
+  }
+}
+
+class SessionStorageUtility extends WebStorageUtility {
+  /**
+   * @param {Object} config
+   */
+  constructor (config) {
+    super(config, 'session storage', StorageType.SESSION_STORAGE)
+  }
+
+  _getStorage () {
+    return globalThis.sessionStorage
+  }
+
+  isAvailable () {
+    return hasWebStorage('sessionStorage')
+  }
+}
+
+/**
+ * Minimal implementation of the Storage interface which keeps the items in memory.
+ */
+class MemoryStorage {
+  constructor () {
+    this._items = new Map()
+  }
+
+  get length () {
+    return this._items.size
+  }
+
+  key (index) {
+    return Array.from(this._items.keys())[index] ?? null
+  }
+
+  getItem (key) {
+    return this._items.has(key) ? this._items.get(key) : null
+  }
+
+  setItem (key, value) {
+    this._items.set(key, String(value))
+  }
+
+  removeItem (key) {
+    this._items.delete(key)
+  }
+
+  clear () {
+    this._items.clear()
+  }
+}
+
+const memoryStorage = new MemoryStorage()
+
+class MemoryStorageUtility extends WebStorageUtility {
+  /**
+   * @param {Object} config
+   */
+  constructor (config) {
+    super(config, 'memory', StorageType.MEMORY)
+  }
+
+  _getStorage () {
+    return memoryStorage
+  }
+}
+
 class CookieUtility {
   /**
    * @param {Object} config
@@ -442,6 +1354,14 @@ class CookieUtility {
     this._settings = config
   }
 
+  /**
+   * Check if cookies are available in the current environment.
+   * @returns {Boolean}
+   */
+  isAvailable () {
+    return hasCookies()
+  }
+
   /**
    * Write a value to cookies.
    * @param {String} key
@@ -454,6 +1374,7 @@ class CookieUtility {
    * @param {Boolean=} [options.secure] Only relevant if storageType is 'Cookie'.
    * @param {Boolean=} [options.httpOnly] Only relevant if storageType is 'Cookie'.
    * @param {(Boolean | 'none' | 'lax' | 'strict')=} [options.sameSite] Only relevant if storageType is 'Cookie'.
+   * @param {Number} [options.version] Schema version of the data
    * @returns {Boolean}
    */
   write (key, data, options) {
@@ -481,12 +1402,33 @@ class CookieUtility {
       createdAt = item.createdAt
     }
 
-    data = JSON.stringify({
-      data, expires: new Date(options.expires).getTime(), createdAt, updatedAt: new Date().getTime()
-    })
+    const envelope = {
+      data, expires: new Date(options.expires).getTime(), createdAt, updatedAt: new Date().getTime(), version: options.version
+    }
+    const value = encodeCookieValue(JSON.stringify(envelope))
+
+    // A value which doesn't fit into one cookie is split into the chunks key~0, key~1, ... The cookie of the key is
+    // the manifest with the number of chunks.
+    let cookies = [[key, value]]
+    if (key.length + 1 + value.length > this._settings.COOKIE_MAX_SIZE) {
+      const chunks = splitCookieValue(key, value, this._settings.COOKIE_MAX_SIZE)
+      const manifest = { ...envelope, data: null, chunks: chunks.length }
+      const names = chunkNames(key, chunks.length)
+      cookies = [...chunks.map((chunk, index) => [names[index], chunk]), [key, encodeCookieValue(JSON.stringify(manifest))]]
+    }
+
+    const previousChunks = this._chunkCount(key)
+    const ownNames = new Set([key, ...cookies.map(([name]) => name), ...chunkNames(key, previousChunks)])
+    const otherCookies = cookieNames().filter(name => !ownNames.has(name)).length
+    if (otherCookies + cookies.length > this._settings.COOKIE_MAX_COUNT) {
+      throw new QuotaExceededException(StorageType.COOKIE, key, new Error('The value needs ' + cookies.length +
+        ' cookies, but only ' + Math.max(this._settings.COOKIE_MAX_COUNT - otherCookies, 0) + ' more cookies fit into the domain'))
+    }
 
-    document.cookie = key + '=' + encodeURIComponent(data)
-      .replace(/%(2[346BF]|3[AC-F]|40|5[BDE]|60|7[BCD])/g, decodeURIComponent) + stringifiesOptions
+    cookies.forEach(([name, cookieValue]) => {
+      document.cookie = name + '=' + cookieValue + stringifiesOptions
+    })
+    chunkNames(key, previousChunks).slice(cookies.length - 1).forEach(name => removeCookie(name, options))
     return true
   }
 
@@ -506,7 +1448,7 @@ class CookieUtility {
     if (typeof options.withMeta !== 'boolean') {
       options.withMeta = this._settings.WITH_META
     }
-    let item = document.cookie.match('(^|;)\\s*' + key + '\\s*=\\s*([^;]+)')?.pop() || null
+    let item = getCookie(key)
     if (!item) {
       return options.withMeta ? { data: null } : null
     }
@@ -516,8 +1458,15 @@ class CookieUtility {
     let obj = null
     try {
       obj = JSON.parse(item)
+      if (obj !== null && Number.isInteger(obj.chunks)) {
+        item = this._readChunks(key, obj.chunks)
+        obj = JSON.parse(item)
+      }
     } catch (e) {
       console.info("ScStorage read an invalid item from the key '" + key + "' in cookies. Please delete it.")
+      if (obj !== null && Number.isInteger(obj.chunks)) {
+        return options.withMeta ? { data: null } : null
+      }
       return options.withMeta ? { data: item } : item
     }
 
@@ -546,17 +1495,198 @@ class CookieUtility {
   /**
    * Delete a value from cookies.
    * @param {String} key
+   * @param {Object=} [options]
+   * @param {String=} [options.path] The path the cookie was written with
+   * @param {String=} [options.domain] The domain the cookie was written with
    * @returns {boolean}
    */
-  delete (key) {
+  delete (key, options = {}) {
     if (!('cookie' in document)) {
       return false
     }
-    document.cookie = key + '=' + '; Max-Age=-99999999;'
+    chunkNames(key, this._chunkCount(key)).forEach(name => removeCookie(name, options))
+    removeCookie(key, options)
+    return true
+  }
+
+  /**
+   * Number of chunks of a value which is split into several cookies.
+   * @private
+   * @param {String} key
+   * @returns {Number} 0 if the value is stored in one cookie
+   */
+  _chunkCount (key) {
+    try {
+      const manifest = JSON.parse(decodeURIComponent(getCookie(key)))
+      return manifest !== null && Number.isInteger(manifest.chunks) ? manifest.chunks : 0
+    } catch (e) {
+      return 0
+    }
+  }
+
+  /**
+   * Join the chunks of a value.
+   * @private
+   * @param {String} key
+   * @param {Number} count
+   * @returns {String}
+   */
+  _readChunks (key, count) {
+    const chunks = chunkNames(key, count).map(getCookie)
+    if (chunks.includes(null)) {
+      throw new Error("The chunks of the key '" + key + "' are incomplete")
+    }
+    return decodeURIComponent(chunks.join(''))
+  }
+
+  /**
+   * List the keys of the cookies written by the library.
+   * @param {Object=} [options]
+   * @param {Boolean=} [options.withExpired] = false
+   * @returns {Array<String>}
+   */
+  keys (options = {}) {
+    if (!('cookie' in document)) {
+      return []
+    }
+
+    return document.cookie.split(';').reduce((keys, cookie) => {
+      const separator = cookie.indexOf('=')
+      if (separator === -1) {
+        return keys
+      }
+
+      let envelope = null
+      try {
+        envelope = parseEnvelope(decodeURIComponent(cookie.slice(separator + 1).trim()))
+      } catch (e) {
+        // A malformed URI sequence means the cookie wasn't written by the library
+      }
+      if (envelope && (options.withExpired || !isExpired(envelope))) {
+        keys.push(cookie.slice(0, separator).trim())
+      }
+
+      return keys
+    }, [])
+  }
+
+  /**
+   * Remove every cookie written by the library.
+   * @returns {boolean}
+   */
+  clear () {
+    this.keys({ withExpired: true }).forEach(key => this.delete(key))
     return true
   }
 }
 
+StorageUtility.registerAdapter(StorageType.LOCAL_STORAGE, LocalStorageUtility)
+StorageUtility.registerAdapter(StorageType.SESSION_STORAGE, SessionStorageUtility)
+StorageUtility.registerAdapter(StorageType.COOKIE, CookieUtility)
+StorageUtility.registerAdapter(StorageType.MEMORY, MemoryStorageUtility)
+StorageUtility.registerAdapter(StorageType.INDEXEDDB, IndexedDbUtility)
+
+/**
+ * @private
+ * @param {Error|DOMException} error
+ * @returns {Boolean}
+ */
+function isQuotaExceededError (error) {
+  // Firefox used a different name and code before it followed the specification
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 || error.code === 1014)
+}
+
+/**
+ * Options which are written as cookie attributes. Every other option is ignored by stringifyOptions.
+ * @private
+ */
+const COOKIE_ATTRIBUTES = {
+  expires: 'expires',
+  path: 'path',
+  maxAge: 'max-age',
+  domain: 'domain',
+  secure: 'secure',
+  httpOnly: 'httponly',
+  sameSite: 'samesite'
+}
+
+/**
+ * Encode a value for a cookie. Characters which are allowed in cookie values stay readable.
+ * @private
+ * @param {String} value
+ * @returns {String}
+ */
+function encodeCookieValue (value) {
+  return encodeURIComponent(value).replace(/%(2[346BF]|3[AC-F]|40|5[BDE]|60|7[BCD])/g, decodeURIComponent)
+}
+
+/**
+ * Separator of the key and the index in the names of chunks. Keys can't contain it, so chunks never collide with keys.
+ * @private
+ */
+const CHUNK_SEPARATOR = '~'
+
+/**
+ * Split an encoded value into chunks, which fit into cookies with the names key~0, key~1, ... The chunks are joined
+ * before they are decoded.
+ * @private
+ * @param {String} key
+ * @param {String} value
+ * @param {Number} maxSize Maximum size of name and value of a cookie
+ * @returns {Array<String>}
+ */
+function splitCookieValue (key, value, maxSize) {
+  const chunks = []
+  let start = 0
+  while (start < value.length) {
+    const size = maxSize - (key + CHUNK_SEPARATOR + chunks.length + '=').length
+    if (size < 1) {
+      throw new Error("The key '" + key + "' is too long to split its value into cookies")
+    }
+    chunks.push(value.slice(start, start + size))
+    start += size
+  }
+  return chunks
+}
+
+/**
+ * @private
+ * @param {String} key
+ * @param {Number} count
+ * @returns {Array<String>}
+ */
+function chunkNames (key, count) {
+  return Array.from({ length: count }, (_, index) => key + CHUNK_SEPARATOR + index)
+}
+
+/**
+ * Remove a cookie. Its path and domain have to match the ones it was written with.
+ * @private
+ * @param {String} name
+ * @param {Object} options
+ */
+function removeCookie (name, options) {
+  document.cookie = name + '=' + stringifyOptions({ path: options.path, domain: options.domain }) + '; Max-Age=-99999999;'
+}
+
+/**
+ * @private
+ * @returns {Array<String>} Names of the cookies of the document
+ */
+function cookieNames () {
+  return document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).filter(name => name)
+}
+
+/**
+ * @private
+ * @param {String} name
+ * @returns {String|null} The raw value of the cookie
+ */
+function getCookie (name) {
+  return document.cookie.match('(^|;)\\s*' + name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&') + '\\s*=\\s*([^;]+)')?.pop() || null
+}
+
 /**
  * @private
  * @param {Object} options
@@ -564,18 +1694,18 @@ class CookieUtility {
  */
 function stringifyOptions (options) {
   let stringifiedOptions = ''
-  for (const attributeName in options) {
-    if (!options[attributeName]) {
+  for (const optionName in COOKIE_ATTRIBUTES) {
+    if (!options[optionName]) {
       continue
     }
-    stringifiedOptions += '; ' + attributeName
+    stringifiedOptions += '; ' + COOKIE_ATTRIBUTES[optionName]
 
-    if (options[attributeName] === true) {
+    if (options[optionName] === true) {
       continue
     }
 
     // Considers RFC 6265 section 5.2
-    stringifiedOptions += '=' + options[attributeName].split(';')[0]
+    stringifiedOptions += '=' + String(options[optionName]).split(';')[0]
   }
   return stringifiedOptions
 }
@@ -594,7 +1724,7 @@ function stringifyOptions (options) {
 function validateOptions (options) {
   if (options.path && typeof options.path !== 'string') throw new Error('Option.path must be a string')
   if (options.maxAge && typeof options.maxAge !== 'number') throw new Error('Option.maxAge must be a number')
-  if (options.domain && typeof options.domain !== 'number') throw new Error('Option.domain must be a number')
+  if (options.domain && typeof options.domain !== 'string') throw new Error('Option.domain must be a string')
   if (options.secure && typeof options.secure !== 'boolean') throw new Error('Option.secure must be a boolean')
   if (options.httpOnly && typeof options.httpOnly !== 'boolean') throw new Error('Option.httpOnly must be a boolean')
   if (options.sameSite && (typeof options.sameSite !== 'boolean' && options.sameSite !== 'none' &&
@@ -1,4 +1,20 @@
-import StorageUtility, { StorageType } from './StorageUtility.js'
+import StorageUtility, { EvictionPolicy, StorageType } from './StorageUtility.js'
 import IndexDbUtility from './IndexedDB.js'
+import Serializer from './Serializer.js'
+import {
+  DecryptionException,
+  InvalidKeyException,
+  QuotaExceededException,
+  StorageUnavailableException
+} from './Exceptions.js'
 export default StorageUtility
-export { StorageType, IndexDbUtility }
+export {
+  StorageType,
+  EvictionPolicy,
+  IndexDbUtility,
+  Serializer,
+  DecryptionException,
+  InvalidKeyException,
+  QuotaExceededException,
+  StorageUnavailableException
+}
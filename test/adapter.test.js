@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { StorageType } from './../src/index.js'
+
+class MapAdapter {
+  constructor () {
+    this._items = new Map()
+  }
+
+  read (key) {
+    return this._items.has(key) ? this._items.get(key) : null
+  }
+
+  write (key, data) {
+    this._items.set(key, data)
+    return true
+  }
+
+  has (key) {
+    return this._items.has(key)
+  }
+
+  delete (key) {
+    return this._items.delete(key)
+  }
+}
+
+describe('adapter', () => {
+  it('register', () => {
+    ScStorage.registerAdapter('Map', MapAdapter)
+
+    const scStorage = new ScStorage({ STORAGE_TYPE: 'Map' })
+    expect(scStorage.write('message', 'Hello World')).eq(true)
+    expect(scStorage.read('message')).eq('Hello World')
+    expect(scStorage.has('message')).eq(true)
+
+    scStorage.delete('message')
+    expect(scStorage.has('message')).eq(false)
+  })
+
+  it('register: invalid adapter', () => {
+    expect(() => ScStorage.registerAdapter('Invalid', { read () {} })).toThrowError('write,has,delete')
+  })
+
+  it('unavailable adapter', () => {
+    class UnavailableAdapter extends MapAdapter {
+      isAvailable () {
+        return false
+      }
+    }
+    ScStorage.registerAdapter('Unavailable', UnavailableAdapter)
+
+    const scStorage = new ScStorage({ STORAGE_TYPE: 'Unavailable' })
+    expect(scStorage.write('message', 'Hello World')).eq(false)
+
+    const scStorageFallback = new ScStorage({ STORAGE_TYPE: 'Unavailable', MEMORY_FALLBACK: true })
+    expect(scStorageFallback.write('message', 'Hello World')).eq(true)
+    expect(scStorageFallback.read('message', { storageType: StorageType.MEMORY })).eq('Hello World')
+  })
+
+  it('unknown storageType', () => {
+    const scStorage = new ScStorage()
+
+    expect(() => scStorage.read('message', { storageType: 'Unknown' })).toThrowError('Unknown')
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { StorageType } from './../src/index.js'
+
+const todos = Array.from({ length: 100 }, (_, id) => ({ id, todo: 'Walking', done: id % 2 === 0 }))
+
+describe('compression', () => {
+  it('write and read', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'compression' })
+
+    await scStorage.write('todos', todos, { compress: true })
+    const stored = globalThis.localStorage.getItem('compression~todos')
+
+    expect(stored.length).lessThan(JSON.stringify(todos).length)
+    expect(await scStorage.read('todos')).toEqual(todos)
+    await scStorage.delete('todos')
+  })
+
+  it('config COMPRESS with cookies', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE, NAMESPACE: 'compression', COMPRESS: true })
+    const data = { todo: 'Walking '.repeat(50), date: new Date(32535212400000) }
+
+    await scStorage.write('todo', data)
+    const response = await scStorage.read('todo')
+
+    expect(response.todo).eq(data.todo)
+    expect(response.date.getTime()).eq(32535212400000)
+    await scStorage.delete('todo')
+  })
+
+  it('read uncompressed items', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'compression' })
+
+    await scStorage.write('todos', todos, { compress: false })
+    const compressedStorage = new ScStorage({ NAMESPACE: 'compression', COMPRESS: true })
+
+    expect(await compressedStorage.read('todos')).toEqual(todos)
+    await scStorage.delete('todos')
+  })
+
+  it('objects with the marker', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'compression' })
+    const data = { __compressed: 'lz-utf16', value: 'hello' }
+
+    await scStorage.write('marker', data)
+
+    expect(await scStorage.read('marker')).toEqual(data)
+    await scStorage.delete('marker')
+  })
+
+  it('compress and encrypt', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'compression', ENCRYPTION_KEY: 'secret' })
+
+    await scStorage.write('todos', todos, { compress: true, encrypt: true })
+
+    expect(await scStorage.read('todos')).toEqual(todos)
+    await scStorage.delete('todos')
+  })
+})
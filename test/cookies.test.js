@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest'
-import ScStorage, { StorageType } from './../src/index.js'
+import ScStorage, { QuotaExceededException, StorageType } from './../src/index.js'
 
 describe('cookies', () => {
   it('write ', async () => {
@@ -41,4 +41,77 @@ describe('cookies', () => {
 
     expect(response).eq(false)
   })
+
+  it('keys, entries and clear', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE, NAMESPACE: 'list' })
+
+    document.cookie = 'list~foreign=Not written by the library'
+    await scStorage.write('message', 'Hello World')
+    await scStorage.write('todo', { todo: 'Walking' })
+
+    expect((await scStorage.keys()).sort()).toEqual(['message', 'todo'])
+    expect((await scStorage.entries()).sort()).toEqual([['message', 'Hello World'], ['todo', { todo: 'Walking' }]])
+
+    await scStorage.clear()
+    expect(await scStorage.keys()).toEqual([])
+    expect(document.cookie).toContain('list~foreign=')
+    document.cookie = 'list~foreign=; Max-Age=-99999999;'
+  })
+
+  it('chunks', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE })
+    const data = { text: 'Hello World; '.repeat(800), list: Array.from({ length: 200 }, (_, index) => index) }
+
+    await scStorage.write('large', data)
+    expect(document.cookie).toContain('large~0=')
+    expect(document.cookie).toContain('large~2=')
+    document.cookie.split(';').forEach(cookie => expect(cookie.trim().length).toBeLessThanOrEqual(4096))
+
+    expect(await scStorage.read('large')).toEqual(data)
+    expect((await scStorage.read('large', { withMeta: true })).data).toEqual(data)
+    expect(await scStorage.has('large')).eq(true)
+    expect(await scStorage.keys()).toEqual(['large'])
+
+    await scStorage.write('large', 'Small')
+    expect(await scStorage.read('large')).eq('Small')
+    expect(document.cookie).not.toContain('large~0=')
+
+    await scStorage.write('large', data)
+    await scStorage.delete('large')
+    expect(await scStorage.has('large')).eq(false)
+    expect(document.cookie).not.toContain('large~')
+
+    // A key which looks like a chunk keeps its value
+    await scStorage.write('large.0', 'Small')
+    await scStorage.write('large', data)
+    await scStorage.delete('large')
+    expect(await scStorage.read('large.0')).eq('Small')
+    await scStorage.delete('large.0')
+
+    await scStorage.write('large', data, { path: '/' })
+    await scStorage.write('large', 'Small', { path: '/' })
+    expect(document.cookie).not.toContain('large~')
+    await scStorage.write('large', data, { path: '/' })
+    await scStorage.delete('large', { path: '/' })
+    expect(document.cookie).not.toContain('large')
+
+    const domain = window.location.hostname
+    await scStorage.write('large', data, { domain })
+    expect(document.cookie).toContain('large~0=')
+    await scStorage.write('large', 'Small', { domain })
+    expect(document.cookie).not.toContain('large~')
+    await scStorage.write('large', data, { domain })
+    await scStorage.delete('large', { domain })
+    expect(document.cookie).not.toContain('large')
+  })
+
+  it('chunks: budget', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE, COOKIE_MAX_COUNT: 3 })
+
+    expect(() => scStorage.write('large', 'x'.repeat(20000))).toThrowError(QuotaExceededException)
+    expect(await scStorage.has('large')).eq(false)
+    expect(await scStorage.write('small', 'x'.repeat(5000))).eq(true)
+    expect((await scStorage.read('small')).length).eq(5000)
+    await scStorage.delete('small')
+  })
 })
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { DecryptionException, StorageType } from './../src/index.js'
+
+describe('encryption', () => {
+  it('write and read', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'encryption', ENCRYPTION_KEY: 'secret' })
+
+    const response = await scStorage.write('token', { token: 'Hello World' }, {
+      encrypt: true,
+      expires: new Date(32535212400000)
+    })
+    expect(response).eq(true)
+
+    const item = window.localStorage.getItem('encryption~token')
+    expect(item).not.toContain('Hello World')
+    expect(JSON.parse(item).expires).eq(32535212400000)
+
+    const token = await scStorage.read('token')
+    expect(token).toEqual({ token: 'Hello World' })
+
+    const tokenWithMeta = await scStorage.read('token', { withMeta: true })
+    expect(tokenWithMeta.data).toEqual({ token: 'Hello World' })
+    expect(tokenWithMeta.expires).eq(32535212400000)
+  })
+
+  it('read: wrong key', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'encryption', ENCRYPTION_KEY: 'wrong' })
+
+    await expect(scStorage.read('token')).rejects.toThrowError(DecryptionException)
+    await scStorage.delete('token')
+  })
+
+  it('salt', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'encryption', ENCRYPTION_KEY: 'secret' })
+
+    await scStorage.write('first', 'Hello World', { encrypt: true })
+    await scStorage.write('second', 'Hello World', { encrypt: true })
+    const first = JSON.parse(window.localStorage.getItem('encryption~first'))
+    const second = JSON.parse(window.localStorage.getItem('encryption~second'))
+    expect(first.data.salt).not.eq(second.data.salt)
+    expect(await scStorage.read('second')).eq('Hello World')
+
+    const { salt, ...withoutSalt } = first.data
+    window.localStorage.setItem('encryption~first', JSON.stringify({ ...first, data: withoutSalt }))
+    await expect(scStorage.read('first')).rejects.toThrowError(DecryptionException)
+    await scStorage.delete('first')
+    await scStorage.delete('second')
+  })
+
+  it('cookie', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE, NAMESPACE: 'encryption', ENCRYPTION_KEY: 'secret' })
+
+    await scStorage.write('token', 'Hello World', { encrypt: true })
+    expect(document.cookie).not.toContain('Hello World')
+    expect(document.cookie).not.toContain('encrypt;')
+    expect(await scStorage.read('token')).eq('Hello World')
+    await scStorage.delete('token')
+  })
+
+  it('indexedDB', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, ENCRYPTION_KEY: 'secret' })
+
+    await scStorage.write('tokens', { token: 'Hello World' }, { encrypt: true, database: 'EncryptionDatabase' })
+    const response = await scStorage.read('tokens', { database: 'EncryptionDatabase' })
+    expect(response[0].token).eq('Hello World')
+    expect(response[0].id).eq(1)
+
+    await scStorage.delete('EncryptionDatabase', { type: 'database' })
+  })
+
+  it('objects with the marker', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'encryption', ENCRYPTION_KEY: 'secret' })
+    const data = { __encrypted: 'AES-GCM', iv: 'iv', ciphertext: 'ciphertext' }
+
+    await scStorage.write('marker', data)
+    expect(await scStorage.read('marker')).toEqual(data)
+    await scStorage.delete('marker')
+
+    expect(() => scStorage.write('markers', data, { storageType: StorageType.INDEXEDDB, database: 'EncryptionDatabase' }))
+      .toThrowError('reserved')
+  })
+})
@@ -82,6 +82,412 @@ describe('cookies', () => {
     expect(response).eq(true)
   })
 
+  it('keys', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+
+    const response = await scStorage.keys({ database: 'TodoDatabase' })
+    expect(response).toEqual(['todos'])
+  })
+
+  it('purgeExpired', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+
+    await scStorage.write('todos', { todo: 'Expired' }, { expires: new Date(Date.now() - 1000), database: 'PurgeDatabase' })
+    await scStorage.write('todos', { todo: 'Walking' }, { database: 'PurgeDatabase' })
+
+    const report = await scStorage.purgeExpired({ storageType: StorageType.INDEXEDDB, database: 'PurgeDatabase' })
+    expect(report).toEqual({ [StorageType.INDEXEDDB]: 1 })
+
+    const response = await scStorage.read('todos', { database: 'PurgeDatabase' })
+    expect(response.length).eq(1)
+
+    await scStorage.write('todos', { todo: 'Expired' }, { expires: new Date(Date.now() - 1000), database: 'PurgeDatabase' })
+    await scStorage.write('lists', { list: 'Expired' }, { expires: new Date(Date.now() - 1000), database: 'PurgeDatabase' })
+    const description = await scStorage.describeDatabase('PurgeDatabase')
+    expect(description.stores[1].indexes.map(index => index.name)).toContain('expires')
+
+    const storeReport = await scStorage.purgeExpired({ storageType: StorageType.INDEXEDDB, database: 'PurgeDatabase', storeName: 'todos' })
+    expect(storeReport).toEqual({ [StorageType.INDEXEDDB]: 1 })
+    expect(await scStorage.count('todos', { database: 'PurgeDatabase' })).eq(1)
+    expect(await scStorage.count('lists', { database: 'PurgeDatabase' })).eq(1)
+    await scStorage.delete('PurgeDatabase', { type: 'database' })
+
+    // Stores which were created without the index 'expires' get it with the next write
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open('LegacyDatabase', 1)
+      request.onupgradeneeded = () => request.result.createObjectStore('todos', { keyPath: 'id', autoIncrement: true })
+      request.onsuccess = () => resolve(request.result.close())
+      request.onerror = () => reject(request.error)
+    })
+    await scStorage.write('todos', { todo: 'Walking' }, { database: 'LegacyDatabase' })
+    const legacy = await scStorage.describeDatabase('LegacyDatabase')
+    expect(legacy.stores[0].indexes.map(index => index.name)).toEqual(['expires', 'id'])
+    await scStorage.delete('LegacyDatabase', { type: 'database' })
+  })
+
+  it('getAllItemsByIndexAndValue', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = {
+      database: 'IndexDatabase',
+      indexes: [
+        { indexKey: 'friends', indexName: 'friends', indexOptions: { unqiue: false, multiEntry: true } },
+        { indexKey: ['list', 'done'], indexName: 'list_done', indexOptions: { unqiue: false, multiEntry: false } }
+      ]
+    }
+    await scStorage.write('todos', { todo: 'Expired', friends: ['Tom'], list: 'home', done: 0 }, { ...options, expires: new Date(Date.now() - 1000) })
+    await scStorage.write('todos', { todo: 'Walking', friends: ['Tom', 'Anna'], list: 'home', done: 0 }, options)
+    await scStorage.write('todos', { todo: 'Jumping', friends: ['Tom'], list: 'home', done: 1 }, options)
+
+    const response = await scStorage.read('todos', { index: 'friends', nameValue: 'Tom', all: true, database: 'IndexDatabase' })
+    expect(response.map(todo => todo.todo)).toEqual(['Walking', 'Jumping'])
+
+    const response2 = await scStorage.read('todos', { index: 'list_done', nameValue: ['home', 0], all: true, database: 'IndexDatabase' })
+    expect(response2.map(todo => todo.todo)).toEqual(['Walking'])
+
+    expect(await scStorage.has('todos', { index: 'friends', nameValue: 'Anna', database: 'IndexDatabase' })).eq(true)
+    expect(await scStorage.has('todos', { index: 'list_done', nameValue: ['work', 0], database: 'IndexDatabase' })).eq(false)
+    await scStorage.delete('IndexDatabase', { type: 'database' })
+  })
+
+  it('query', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'QueryDatabase', indexes: [{ indexKey: 'due', indexName: 'due', indexOptions: { unqiue: false, multiEntry: false } }] }
+    for (let day = 1; day <= 6; day++) {
+      await scStorage.write('todos', { todo: 'Todo ' + day, due: new Date(2030, 0, day), done: day === 4 }, options)
+    }
+    await scStorage.write('todos', { todo: 'Expired', due: new Date(2030, 0, 3) }, { ...options, expires: new Date(Date.now() - 1000) })
+
+    const query = { index: 'due', lower: new Date(2030, 0, 2), upper: new Date(2030, 0, 6), upperOpen: true, direction: 'prev', limit: 2 }
+    const page1 = await scStorage.read('todos', { database: 'QueryDatabase', withMeta: true, query })
+    expect(page1.data.map(todo => todo.todo)).toEqual(['Todo 5', 'Todo 4'])
+
+    const page2 = await scStorage.read('todos', { database: 'QueryDatabase', withMeta: true, query: { ...query, after: page1.cursor } })
+    expect(page2.data.map(todo => todo.todo)).toEqual(['Todo 3', 'Todo 2'])
+    expect(page2.cursor).eq(null)
+    expect(() => scStorage.read('todos', { database: 'QueryDatabase', query: { ...query, limit: 0 } })).toThrowError()
+
+    const response = await scStorage.read('todos', {
+      database: 'QueryDatabase', query: { lower: 2, offset: 1, filter: todo => !todo.done }
+    })
+    expect(response.map(todo => todo.todo)).toEqual(['Todo 3', 'Todo 5', 'Todo 6'])
+    await scStorage.delete('QueryDatabase', { type: 'database' })
+  })
+
+  it('keyPath', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'KeyDatabase' }
+
+    await scStorage.write('posts', { slug: 'hello-world', title: 'Hello' }, { ...options, keyPath: 'slug' })
+    await scStorage.write('posts', { slug: 'hello-world', title: 'Hello World' }, { ...options, update: true })
+    expect((await scStorage.read('posts', { ...options, id: 'hello-world' })).title).eq('Hello World')
+
+    await scStorage.write('entries', { list: 'home', slug: 'walk' }, { ...options, keyPath: ['list', 'slug'] })
+    expect((await scStorage.read('entries', { ...options, id: ['home', 'walk'] })).slug).eq('walk')
+    expect(await scStorage.delete(['home', 'walk'], { ...options, storeName: 'entries' })).eq(true)
+    expect(await scStorage.has('entries', { ...options, id: ['home', 'walk'] })).eq(false)
+
+    const day = new Date(2030, 0, 1)
+    await scStorage.write('days', { weather: 'Sunny' }, { ...options, keyPath: null, key: day })
+    await scStorage.write('days', { weather: 'Rainy' }, { ...options, key: day, update: true })
+    expect((await scStorage.read('days', { ...options, id: day })).weather).eq('Rainy')
+    await expect(scStorage.write('days', { weather: 'Cloudy' }, options)).rejects.toThrowError()
+
+    await scStorage.delete('KeyDatabase', { type: 'database' })
+  })
+
+  it('upsert and patch', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'UpsertDatabase', keyPath: 'slug' }
+
+    await scStorage.write('posts', { slug: 'hello', title: 'Hello', meta: { tags: ['a'], author: 'Tom' } }, { ...options, upsert: true })
+    const created = await scStorage.read('posts', { database: 'UpsertDatabase', id: 'hello', withMeta: true })
+    expect(created.data.title).eq('Hello')
+
+    await scStorage.write('posts', { slug: 'hello', meta: { author: 'Anna' } }, { ...options, patch: true })
+    const patched = await scStorage.read('posts', { database: 'UpsertDatabase', id: 'hello', withMeta: true })
+    expect(patched.data.title).eq('Hello')
+    expect(patched.data.meta).toEqual({ tags: ['a'], author: 'Anna' })
+    expect(patched.data.createdAt).eq(created.data.createdAt)
+    expect(patched.data.expires).eq(created.data.expires)
+
+    await scStorage.write('posts', { slug: 'hello', title: 'Hi' }, { ...options, upsert: true, expires: new Date(32535212400000) })
+    const replaced = await scStorage.read('posts', { database: 'UpsertDatabase', id: 'hello', withMeta: true })
+    expect(replaced.data.title).eq('Hi')
+    expect(replaced.data.meta).eq(undefined)
+    expect(replaced.data.expires).eq(32535212400000)
+    expect(replaced.data.createdAt).eq(created.data.createdAt)
+
+    await expect(scStorage.write('posts', { slug: 'missing', title: 'Missing' }, { ...options, patch: true })).rejects.toThrowError()
+
+    await scStorage.delete('UpsertDatabase', { type: 'database' })
+  })
+
+  it('transaction', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    await scStorage.write('orders', { customer: 'Tom' }, { database: 'ShopDatabase' })
+    await scStorage.write('items', { product: 'Book', order: 1 }, { database: 'ShopDatabase' })
+
+    const response = await scStorage.transaction('ShopDatabase', ['orders', 'items'], async tx => {
+      const order = await tx.read('orders', { id: 1 })
+      await tx.update('orders', { id: order.id, customer: 'Anna' })
+      await tx.write('items', { product: 'Pen', order: order.id })
+      return (await tx.read('items')).length
+    })
+    expect(response).eq(2)
+    expect((await scStorage.read('orders', { id: 1, database: 'ShopDatabase' })).customer).eq('Anna')
+
+    await expect(scStorage.transaction('ShopDatabase', ['orders', 'items'], async tx => {
+      await tx.delete('orders', 1)
+      await tx.write('items', { product: 'Cup', order: 1 })
+      throw new Error('Out of stock')
+    })).rejects.toThrowError('Out of stock')
+    expect(await scStorage.has('orders', { id: 1, database: 'ShopDatabase' })).eq(true)
+    expect((await scStorage.read('items', { database: 'ShopDatabase' })).length).eq(2)
+
+    await expect(scStorage.transaction('ShopDatabase', 'orders', tx => tx.update('orders', { id: 5, customer: 'Max' })))
+      .rejects.toThrowError()
+    await scStorage.delete('ShopDatabase', { type: 'database' })
+  })
+
+  it('schema', async () => {
+    const version1 = { version: 1, stores: { todos: { indexes: [{ indexName: 'todo', indexKey: 'todo' }] } } }
+    const version2 = {
+      version: 2,
+      stores: { todos: { indexes: [{ indexName: 'friends', indexKey: 'friends', indexOptions: { multiEntry: true } }] }, lists: {} }
+    }
+
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_SCHEMA: { SchemaDatabase: [version1] } })
+    await scStorage.write('todos', { todo: 'Walking', friends: ['Tom'] }, { database: 'SchemaDatabase' })
+    await expect(scStorage.write('notes', { note: 'Undeclared' }, { database: 'SchemaDatabase' })).rejects.toThrowError()
+
+    const upgraded = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_SCHEMA: { SchemaDatabase: [version1, version2] } })
+    const response = await upgraded.read('todos', { index: 'friends', nameValue: 'Tom', database: 'SchemaDatabase' })
+    expect(response.todo).eq('Walking')
+    expect(await upgraded.keys({ database: 'SchemaDatabase' })).toEqual(['lists', 'todos'])
+
+    const databases = await indexedDB.databases()
+    expect(databases.find(database => database.name === 'SchemaDatabase').version).eq(2)
+    await upgraded.delete('SchemaDatabase', { type: 'database' })
+  })
+
+  it('values', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'ValueDatabase' }
+
+    const buffer = new Uint8Array([1, 2, 3]).buffer
+    await scStorage.write('files', new Blob(['Hello'], { type: 'text/plain' }), options)
+    await scStorage.write('files', buffer, options)
+    await scStorage.write('files', 'Hello World', options)
+    await scStorage.write('files', 42, options)
+    await scStorage.write('files', ['a', 'b'], options)
+
+    const blob = await scStorage.read('files', { ...options, id: 1 })
+    expect(blob).toBeInstanceOf(Blob)
+    expect(await blob.text()).eq('Hello')
+    expect(new Uint8Array(await scStorage.read('files', { ...options, id: 2 }))).toEqual(new Uint8Array([1, 2, 3]))
+
+    const response = await scStorage.read('files', { ...options, id: 3, withMeta: true })
+    expect(response.data).eq('Hello World')
+    expect(response.id).eq(3)
+    expect(typeof response.expires).eq('number')
+
+    expect((await scStorage.read('files', options)).slice(2)).toEqual(['Hello World', 42, ['a', 'b']])
+
+    await scStorage.write('files', 43, { ...options, key: 4, update: true })
+    expect(await scStorage.read('files', { ...options, id: 4 })).eq(43)
+
+    await scStorage.write('days', 0, { ...options, keyPath: null, key: 'monday' })
+    expect(await scStorage.read('days', { ...options, id: 'monday' })).eq(0)
+    expect(await scStorage.has('days', { ...options, id: 'monday' })).eq(true)
+    await expect(scStorage.write('posts', 'Hello', { ...options, keyPath: 'slug' })).rejects.toThrowError()
+
+    await scStorage.delete('ValueDatabase', { type: 'database' })
+  })
+
+  it('iterate', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'IterateDatabase' }
+    const indexes = [{ indexKey: 'priority', indexName: 'priority', indexOptions: { unqiue: false, multiEntry: false } }]
+    for (let i = 1; i <= 7; i++) {
+      await scStorage.write('todos', { todo: `Todo ${i}`, priority: i % 3 }, { ...options, indexes })
+    }
+    await scStorage.write('todos', { todo: 'Expired', priority: 1 }, { ...options, expires: 1 })
+    await new Promise(resolve => setTimeout(resolve, 5))
+
+    const todos = []
+    for await (const todo of scStorage.iterate('todos', { ...options, batchSize: 2 })) {
+      todos.push(todo.todo)
+    }
+    expect(todos).toEqual(['Todo 1', 'Todo 2', 'Todo 3', 'Todo 4', 'Todo 5', 'Todo 6', 'Todo 7'])
+
+    const priorities = []
+    for await (const todo of scStorage.iterate('todos', { ...options, index: 'priority', range: IDBKeyRange.only(1), direction: 'prev' })) {
+      priorities.push(todo.todo)
+    }
+    expect(priorities).toEqual(['Todo 7', 'Todo 4', 'Todo 1'])
+
+    const iterator = scStorage.iterate('todos', { ...options, range: { lower: 3 }, batchSize: 2 })
+    for await (const todo of iterator) {
+      // Closes the database with config.INDEXEDDB_CLOSE_AFTER_REQUEST
+      await scStorage.count('todos', options)
+      if (todo.id === 3) {
+        await iterator.delete()
+      } else {
+        await iterator.update({ done: true }, { patch: true })
+      }
+      if (todo.id === 5) {
+        break
+      }
+    }
+    expect(() => iterator.delete()).toThrowError()
+    expect(await scStorage.has('todos', { ...options, id: 3 })).eq(false)
+    expect((await scStorage.read('todos', { ...options, id: 4 })).done).eq(true)
+    expect((await scStorage.read('todos', { ...options, id: 5 })).todo).eq('Todo 5')
+    expect((await scStorage.read('todos', { ...options, id: 6 })).done).eq(undefined)
+
+    await scStorage.delete('IterateDatabase', { type: 'database' })
+  })
+
+  it('count and describeDatabase', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, NAMESPACE: 'app' })
+    const options = { database: 'CountDatabase' }
+    const indexes = [{ indexKey: 'priority', indexName: 'priority', indexOptions: { unqiue: false, multiEntry: false } }]
+    for (let i = 1; i <= 5; i++) {
+      await scStorage.write('todos', { todo: `Todo ${i}`, priority: i % 2 }, { ...options, indexes })
+    }
+
+    expect(await scStorage.count('todos', options)).eq(5)
+    expect(await scStorage.count('todos', { ...options, range: IDBKeyRange.bound(2, 4) })).eq(3)
+    expect(await scStorage.count('todos', { ...options, index: 'priority', range: { lower: 1, upper: 1 } })).eq(3)
+    expect(await scStorage.count('missing', options)).eq(0)
+
+    const databases = await scStorage.databases()
+    expect(databases.find(database => database.name === 'CountDatabase').version).toBeGreaterThan(0)
+
+    const description = await scStorage.describeDatabase('CountDatabase')
+    expect(description.name).eq('CountDatabase')
+    expect(description.stores).toEqual([{
+      name: 'todos',
+      keyPath: 'id',
+      autoIncrement: true,
+      count: 5,
+      indexes: [
+        { name: 'expires', keyPath: 'expires', unique: false, multiEntry: false },
+        { name: 'id', keyPath: 'id', unique: false, multiEntry: false },
+        { name: 'priority', keyPath: 'priority', unique: false, multiEntry: false }
+      ]
+    }])
+    expect(await scStorage.describeDatabase('MissingDatabase')).eq(null)
+    expect((await scStorage.databases()).some(database => database.name === 'MissingDatabase')).eq(false)
+
+    await scStorage.delete('CountDatabase', { type: 'database' })
+  })
+
+  it('connections', async () => {
+    const blocked = []
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_ON_BLOCKED: event => blocked.push(event) })
+    const options = { database: 'ConnectionDatabase' }
+
+    const responses = await Promise.all(['orders', 'items', 'users'].map(store => scStorage.write(store, { store }, options)))
+    expect(responses).toEqual([true, true, true])
+    expect(await scStorage.keys(options)).toEqual(['items', 'orders', 'users'])
+
+    // An upgrade in another tab closes the connection, the next request reconnects
+    await scStorage.read('orders', { ...options, closeDatabase: false })
+    const upgraded = await new Promise((resolve, reject) => {
+      const req = indexedDB.open('ConnectionDatabase', 100)
+      req.onsuccess = event => resolve(event.target.result)
+      req.onerror = reject
+    })
+    upgraded.close()
+    expect((await scStorage.read('orders', options))[0].store).eq('orders')
+    expect(blocked.length).eq(0)
+
+    // A connection of another tab which doesn't close on versionchange
+    const other = await new Promise(resolve => {
+      indexedDB.open('ConnectionDatabase').onsuccess = event => resolve(event.target.result)
+    })
+    let deleted = false
+    const deletion = scStorage.delete('ConnectionDatabase', { type: 'database' }).then(() => { deleted = true })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(deleted).eq(false)
+    expect(blocked[0].database).eq('ConnectionDatabase')
+
+    other.close()
+    await deletion
+    expect((await indexedDB.databases()).some(db => db.name === 'ConnectionDatabase')).eq(false)
+  })
+
+  it('blocked: namespaces', async () => {
+    const blocked = { shop: [], admin: [] }
+    const shop = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, NAMESPACE: 'shop', INDEXEDDB_ON_BLOCKED: event => blocked.shop.push(event) })
+    const admin = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, NAMESPACE: 'admin', INDEXEDDB_ON_BLOCKED: event => blocked.admin.push(event) })
+
+    await shop.write('orders', { total: 1 }, { database: 'BlockedDatabase' })
+    await admin.write('orders', { total: 1 }, { database: 'BlockedDatabase' })
+    const other = await new Promise(resolve => {
+      indexedDB.open('shop~BlockedDatabase').onsuccess = event => resolve(event.target.result)
+    })
+    const deletion = shop.delete('BlockedDatabase', { type: 'database' })
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(blocked.shop.map(event => event.database)).toEqual(['shop~BlockedDatabase'])
+    expect(blocked.admin.length).eq(0)
+    other.close()
+    await deletion
+    await admin.delete('BlockedDatabase', { type: 'database' })
+  })
+
+  it('concurrent requests', async () => {
+    // Every request closes the database afterwards with config.INDEXEDDB_CLOSE_AFTER_REQUEST
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'ConcurrentDatabase' }
+    await scStorage.write('todos', { todo: 'Walking' }, options)
+
+    for (let round = 0; round < 5; round++) {
+      const results = await Promise.allSettled([
+        scStorage.write('todos', { todo: 'Jumping' }, options),
+        scStorage.read('todos', options),
+        scStorage.has('todos', options),
+        scStorage.count('todos', options),
+        scStorage.keys(options),
+        scStorage.write('todos', { todo: 'Running' }, options)
+      ])
+      expect(results.filter(result => result.status === 'rejected')).toEqual([])
+    }
+    expect(await scStorage.count('todos', options)).eq(11)
+
+    const writes = await Promise.all(Array.from({ length: 10 }, (_, i) => scStorage.write('todos', { todo: 'Todo ' + i }, options)))
+    expect(writes.every(response => response === true)).eq(true)
+    expect(await scStorage.count('todos', options)).eq(21)
+    await scStorage.delete('ConcurrentDatabase', { type: 'database' })
+  })
+
+  it('subscribe', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
+    const options = { database: 'SubscribeDatabase' }
+    await scStorage.write('notes', { text: 'Draft' }, options)
+
+    const changes = []
+    const unsubscribe = scStorage.subscribe('notes', change => changes.push(change))
+    await scStorage.write('notes', { id: 1, text: 'Final' }, { ...options, update: true })
+    await scStorage.delete(1, { ...options, storeName: 'notes' })
+    unsubscribe()
+
+    expect(changes.length).eq(2)
+    expect(changes[0].key).eq('notes')
+    expect(changes[0].recordKey).eq(1)
+    expect(changes[0].oldValue).toEqual({ id: 1, text: 'Draft' })
+    expect(changes[0].newValue).toEqual({ id: 1, text: 'Final' })
+    expect(changes[0].envelope.data).toEqual({ id: 1, text: 'Final' })
+    expect(changes[0].envelope.updatedAt).toBeGreaterThanOrEqual(changes[0].envelope.createdAt)
+    expect(changes[1].recordKey).eq(1)
+    expect(changes[1].oldValue).toEqual({ id: 1, text: 'Final' })
+    expect(changes[1].newValue).eq(null)
+    expect(changes[1].envelope).eq(null)
+    await scStorage.delete('SubscribeDatabase', { type: 'database' })
+  })
+
   it('delete', async () => {
     const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB })
 
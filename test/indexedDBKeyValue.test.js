@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { StorageType } from './../src/index.js'
+
+describe('indexedDB key-value', () => {
+  it('write and read', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_KEY_VALUE: true, NAMESPACE: 'keyValue' })
+
+    expect(await scStorage.write('settings', { theme: 'dark' })).eq(true)
+    expect(await scStorage.write('counter', 5, { expires: new Date(32535212400000) })).eq(true)
+    expect(await scStorage.write('tags', new Set(['todo']))).eq(true)
+
+    expect(await scStorage.read('settings')).toEqual({ theme: 'dark' })
+    expect(await scStorage.read('tags')).toEqual(new Set(['todo']))
+    const counter = await scStorage.read('counter', { withMeta: true })
+    expect(counter.data).eq(5)
+    expect(counter.expires).eq(32535212400000)
+    expect(await scStorage.has('counter')).eq(true)
+    expect((await scStorage.keys()).sort()).toEqual(['counter', 'settings', 'tags'])
+  })
+
+  it('update keeps createdAt', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_KEY_VALUE: true, NAMESPACE: 'keyValue' })
+
+    const before = await scStorage.read('counter', { withMeta: true })
+    await scStorage.write('counter', 6)
+    const after = await scStorage.read('counter', { withMeta: true })
+
+    expect(after.data).eq(6)
+    expect(after.createdAt).eq(before.createdAt)
+  })
+
+  it('expired and delete', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_KEY_VALUE: true, NAMESPACE: 'keyValue' })
+
+    await scStorage.write('session', 'token', { expires: new Date(Date.now() - 1000) })
+    expect(await scStorage.read('session')).eq(null)
+
+    expect(await scStorage.delete('counter')).eq(true)
+    expect(await scStorage.has('counter')).eq(false)
+  })
+
+  it('subscribe', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_KEY_VALUE: true, NAMESPACE: 'keyValue' })
+    const changes = []
+    const unsubscribe = scStorage.subscribe('settings', change => changes.push(change))
+
+    await scStorage.write('settings', { theme: 'light' })
+    unsubscribe()
+
+    expect(changes.length).eq(1)
+    expect(changes[0].oldValue).toEqual({ theme: 'dark' })
+    expect(changes[0].newValue).toEqual({ theme: 'light' })
+  })
+
+  it('clear', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.INDEXEDDB, INDEXEDDB_KEY_VALUE: true, NAMESPACE: 'keyValue' })
+
+    expect(await scStorage.clear()).eq(true)
+    expect(await scStorage.keys()).toEqual([])
+    await scStorage.delete('default', { type: 'database' })
+  })
+})
@@ -1,5 +1,5 @@
-import { describe, expect, it } from 'vitest'
-import ScStorage, { StorageType } from './../src/index.js'
+import { describe, expect, it, vi } from 'vitest'
+import ScStorage, { EvictionPolicy, QuotaExceededException, StorageType } from './../src/index.js'
 
 describe('localStorage', () => {
   it('write ', async () => {
@@ -41,4 +41,147 @@ describe('localStorage', () => {
 
     expect(response).eq(false)
   })
+
+  it('namespace', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'app' })
+    const scStorageOther = new ScStorage({ NAMESPACE: 'other' })
+
+    await scStorage.write('message', 'Hello World')
+    expect(window.localStorage.getItem('app~message')).not.eq(null)
+    expect(await scStorage.read('message')).eq('Hello World')
+    expect(await scStorageOther.has('message')).eq(false)
+
+    await scStorage.delete('message')
+    expect(window.localStorage.getItem('app~message')).eq(null)
+  })
+
+  it('namespace: nested names', async () => {
+    const shop = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY, NAMESPACE: 'shop' })
+    const admin = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY, NAMESPACE: 'shop.admin' })
+
+    await admin.write('token', 'secret')
+    await shop.write('cart', ['Apple'])
+    expect(await shop.keys()).toEqual(['cart'])
+
+    await shop.clear()
+    expect(await admin.read('token')).eq('secret')
+    await admin.clear()
+  })
+
+  it('namespace: invalid', () => {
+    expect(() => new ScStorage({ NAMESPACE: 'my app' })).toThrowError('my app')
+  })
+
+  it('keys, entries and clear', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'list' })
+
+    window.localStorage.setItem('list~foreign', 'Not written by the library')
+    await scStorage.write('message', 'Hello World')
+    await scStorage.write('todo', { todo: 'Walking' })
+    await scStorage.write('expired', 'Hello World', { expires: new Date(Date.now() - 1000) })
+
+    expect((await scStorage.keys()).sort()).toEqual(['message', 'todo'])
+    expect((await scStorage.entries()).sort()).toEqual([['message', 'Hello World'], ['todo', { todo: 'Walking' }]])
+
+    await scStorage.clear()
+    expect(await scStorage.keys()).toEqual([])
+    expect(window.localStorage.getItem('list~expired')).eq(null)
+    expect(window.localStorage.getItem('list~foreign')).eq('Not written by the library')
+    window.localStorage.removeItem('list~foreign')
+  })
+
+  it('subscribe', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'subscribe' })
+    const changes = []
+
+    const unsubscribe = scStorage.subscribe('message', change => changes.push(change))
+    await scStorage.write('message', 'Hello')
+    await scStorage.write('message', 'Hello World')
+    await scStorage.write('other', 'Hello World')
+    await scStorage.delete('message')
+
+    expect(changes.map(change => [change.oldValue, change.newValue])).toEqual([
+      [null, 'Hello'], ['Hello', 'Hello World'], ['Hello World', null]
+    ])
+    expect(changes[1].storageType).eq(StorageType.LOCAL_STORAGE)
+    expect(changes[1].envelope.data).eq('Hello World')
+    expect(changes[1].external).eq(false)
+
+    unsubscribe()
+    await scStorage.write('message', 'Hello')
+    expect(changes.length).eq(3)
+    await scStorage.delete('message')
+  })
+
+  it('subscribe: other tab', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'subscribe' })
+    const changes = []
+
+    const unsubscribe = scStorage.subscribe(/^todo/, change => changes.push(change))
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'subscribe~todo',
+      oldValue: null,
+      newValue: JSON.stringify({ data: 'Walking', expires: 32535212400000, createdAt: 0, updatedAt: 0 }),
+      storageArea: window.localStorage
+    }))
+    unsubscribe()
+
+    expect(changes.length).eq(1)
+    expect(changes[0].key).eq('todo')
+    expect(changes[0].newValue).eq('Walking')
+    expect(changes[0].external).eq(true)
+  })
+
+  it('purgeExpired', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'purge' })
+
+    await scStorage.write('message', 'Hello World')
+    await scStorage.write('expired', 'Hello World', { expires: new Date(Date.now() - 1000) })
+
+    const report = await scStorage.purgeExpired({ storageType: StorageType.LOCAL_STORAGE })
+    expect(report).toEqual({ [StorageType.LOCAL_STORAGE]: 1 })
+    expect(window.localStorage.getItem('purge~expired')).eq(null)
+    expect(await scStorage.read('message')).eq('Hello World')
+    await scStorage.clear()
+  })
+
+  it('quota: exceeded', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'quota' })
+    const spy = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError')
+    })
+
+    expect(() => scStorage.write('message', 'Hello World')).toThrowError(QuotaExceededException)
+    spy.mockRestore()
+  })
+
+  it('quota: eviction', async () => {
+    const evicted = []
+    const scStorage = new ScStorage({
+      NAMESPACE: 'quota',
+      EVICTION_POLICY: EvictionPolicy.LEAST_RECENTLY_USED,
+      ON_EVICT: items => evicted.push(...items)
+    })
+
+    await scStorage.write('first', 'Hello')
+    await new Promise(resolve => setTimeout(resolve, 5))
+    await scStorage.write('second', 'World')
+
+    // The storage is full as long as the item 'first' exists
+    const setItem = Storage.prototype.setItem
+    const spy = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      if (this.getItem('quota~first') !== null) {
+        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError')
+      }
+      setItem.call(this, key, value)
+    })
+
+    expect(await scStorage.write('third', 'Hello World')).eq(true)
+    spy.mockRestore()
+
+    expect(evicted.map(item => item.key)).toEqual(['first'])
+    expect(await scStorage.keys()).not.toContain('first')
+    expect(await scStorage.read('third')).eq('Hello World')
+    await scStorage.clear()
+  })
 })
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { StorageType } from './../src/index.js'
+
+describe('memory', () => {
+  it('write ', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE })
+
+    const response = await scStorage.write('message', 'Hello World', {
+      storageType: StorageType.MEMORY,
+      expires: new Date(32535212400000)
+    })
+    expect(response).eq(true)
+  })
+  it('get', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY, WITH_META: true })
+
+    const message = await scStorage.read('message', { withMeta: false })
+    expect(message).eq('Hello World')
+  })
+
+  it('get: asObject', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY, WITH_META: true })
+
+    const message = await scStorage.read('message')
+    expect(message?.data).eq('Hello World')
+    expect(message?.expires).eq(32535212400000)
+  })
+
+  it('get: expired', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY })
+
+    await scStorage.write('expired', 'Hello World', { expires: new Date(Date.now() - 1000) })
+    const message = await scStorage.read('expired')
+    expect(message).eq(null)
+  })
+
+  it('has', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY })
+
+    const response = await scStorage.has('message')
+    expect(response).eq(true)
+  })
+
+  it('delete', async () => {
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.MEMORY })
+
+    await scStorage.delete('message')
+    const response = await scStorage.has('message')
+
+    expect(response).eq(false)
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { StorageType } from './../src/index.js'
+
+const schema = {
+  version: 3,
+  migrations: {
+    2: todo => ({ title: todo.todo, done: false }),
+    3: todo => ({ ...todo, tags: [] })
+  }
+}
+
+describe('migration', () => {
+  it('read migrates old items', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'migration' })
+    await scStorage.write('todo', { todo: 'Walking' })
+
+    scStorage.registerSchema('todo', schema)
+    const response = await scStorage.read('todo', { withMeta: true })
+
+    expect(response.data).toEqual({ title: 'Walking', done: false, tags: [] })
+    expect(response.version).eq(3)
+    expect(JSON.parse(globalThis.localStorage.getItem('migration~todo')).version).eq(3)
+    await scStorage.delete('todo')
+  })
+
+  it('read migrates an item once', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'migration' })
+    await scStorage.write('todo', { todo: 'Walking' })
+
+    let calls = 0
+    scStorage.registerSchema('todo', { version: 2, migrations: { 2: todo => { calls++; return { title: todo.todo } } } })
+    await scStorage.read('todo')
+    await scStorage.read('todo')
+
+    expect(calls).eq(1)
+    await scStorage.delete('todo')
+  })
+
+  it('write does not change the options', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'migration' })
+    scStorage.registerSchema('todo', schema)
+
+    const options = {}
+    await scStorage.write('todo', { title: 'Jumping', done: true, tags: [] }, options)
+
+    expect(options.version).toBeUndefined()
+    await scStorage.delete('todo')
+  })
+
+  it('write stores the version', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'migration' })
+    scStorage.registerSchema(/^todo/, schema)
+
+    await scStorage.write('todo-1', { title: 'Jumping', done: true, tags: ['sport'] })
+    const response = await scStorage.read('todo-1', { withMeta: true })
+
+    expect(response.data.title).eq('Jumping')
+    expect(response.version).eq(3)
+    await scStorage.delete('todo-1')
+  })
+
+  it('migrateAll', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'migration', INDEXEDDB_ENABLE: true })
+    await scStorage.write('todo-1', { todo: 'Walking' })
+    await scStorage.write('todo-2', { todo: 'Jumping' }, { storageType: StorageType.COOKIE })
+    await scStorage.write('todos', { todo: 'Running' }, { storageType: StorageType.INDEXEDDB, database: 'MigrationDatabase' })
+
+    scStorage.registerSchema(/^todo/, schema)
+    const report = await scStorage.migrateAll()
+
+    expect(report[StorageType.LOCAL_STORAGE]).eq(1)
+    expect(report[StorageType.COOKIE]).eq(1)
+    expect(await scStorage.read('todo-2', { storageType: StorageType.COOKIE })).toEqual({ title: 'Jumping', done: false, tags: [] })
+
+    const migrated = await scStorage.migrateAll({ storageType: StorageType.INDEXEDDB, database: 'MigrationDatabase' })
+    const records = await scStorage.read('todos', { storageType: StorageType.INDEXEDDB, database: 'MigrationDatabase' })
+
+    expect(migrated[StorageType.INDEXEDDB]).eq(1)
+    expect(records[0].title).eq('Running')
+    expect(records[0].version).eq(3)
+
+    await scStorage.clear()
+    await scStorage.clear({ storageType: StorageType.COOKIE })
+    await scStorage.delete('MigrationDatabase', { storageType: StorageType.INDEXEDDB, type: 'database' })
+  })
+
+  it('registerSchema requires every migration', () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'migration' })
+
+    expect(() => scStorage.registerSchema('todo', { version: 2 })).toThrowError()
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest'
+import ScStorage, { StorageType } from './../src/index.js'
+
+class Money {
+  constructor (amount, currency) {
+    this.amount = amount
+    this.currency = currency
+  }
+}
+
+describe('serializer', () => {
+  it('built-in types', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'serializer' })
+    const data = {
+      date: new Date(32535212400000),
+      map: new Map([['todo', new Set(['Walking', 'Jumping'])]]),
+      bigInt: 12345678901234567890n,
+      bytes: new Uint8Array([1, 2, 3]),
+      tagged: { __type: 'Date', value: 'Not a date' },
+      marked: { __serializer: 1, __type: 'Date', value: 'Not a date' }
+    }
+
+    await scStorage.write('data', data)
+    const response = await scStorage.read('data')
+
+    expect(response.date).toBeInstanceOf(Date)
+    expect(response.date.getTime()).eq(32535212400000)
+    expect(response.map.get('todo')).toEqual(new Set(['Walking', 'Jumping']))
+    expect(response.bigInt).eq(12345678901234567890n)
+    expect(response.bytes).toEqual(new Uint8Array([1, 2, 3]))
+    expect(response.tagged).toEqual({ __type: 'Date', value: 'Not a date' })
+    expect(response.marked).toEqual({ __serializer: 1, __type: 'Date', value: 'Not a date' })
+    await scStorage.delete('data')
+  })
+
+  it('data with a tag', async () => {
+    const scStorage = new ScStorage({ NAMESPACE: 'serializer' })
+    const data = { __type: 'Date', value: 32535212400000 }
+
+    // Written without the serializer, e.g. by a previous version
+    globalThis.localStorage.setItem('serializer~legacy', JSON.stringify({ data, expires: 32535212400000 }))
+    expect(await scStorage.read('legacy')).toEqual(data)
+
+    await scStorage.write('tagged', data)
+    expect(await scStorage.read('tagged')).toEqual(data)
+    await scStorage.delete('legacy')
+    await scStorage.delete('tagged')
+  })
+
+  it('registerType', async () => {
+    ScStorage.registerType('Money', {
+      test: value => value instanceof Money,
+      serialize: value => [value.amount, value.currency],
+      deserialize: ([amount, currency]) => new Money(amount, currency)
+    })
+    const scStorage = new ScStorage({ STORAGE_TYPE: StorageType.COOKIE, NAMESPACE: 'serializer' })
+
+    await scStorage.write('price', { price: new Money(5, 'EUR'), updated: new Date(32535212400000) })
+    const response = await scStorage.read('price')
+
+    expect(response.price).toBeInstanceOf(Money)
+    expect(response.price.currency).eq('EUR')
+    expect(response.updated.getTime()).eq(32535212400000)
+    await scStorage.delete('price')
+  })
+})